@@ -2,13 +2,35 @@
 
 import { Command } from 'commander';
 import { Octokit } from '@octokit/rest';
-import { graphql } from '@octokit/graphql';
+import { throttling } from '@octokit/plugin-throttling';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { createAuthOptions } from './lib/auth.js';
+import { baselineKey, loadBaseline } from './lib/baseline.js';
+import { GITHUB_DOTCOM_API_URL, probeCapabilities } from './lib/capabilities.js';
+import { DEFAULT_BRANCH_BASELINE, evaluateBranchControls, loadBranchBaseline } from './lib/branch-controls.js';
+import { assessCodeScanningHealth, isCodeScanningWorkflow, latestAnalyses } from './lib/code-scanning-health.js';
+import { runPool } from './lib/concurrency.js';
+import { DEFAULT_SECRET_SEVERITY_POLICY, buildFindings, closedAt, findingMetrics, loadSecretSeverityPolicy } from './lib/findings.js';
+import { LOG_FORMATS, LOG_LEVELS, createLogger, installRequestLogging } from './lib/logger.js';
+import {
+  CheckpointWriter,
+  assertCheckpointMatches,
+  createCheckpointHeader,
+  loadCheckpoint,
+  recordOptions,
+} from './lib/checkpoint.js';
+import { attributeFindings } from './lib/owasp.js';
+import { CODEOWNERS_PATHS, parseCodeowners } from './lib/ownership.js';
+import { createThrottleOptions, installRateLimitGate } from './lib/rate-limit.js';
+import { installRecorder, installReplay } from './lib/recorder.js';
+import { AUDIT_RESULTS_SCHEMA_VERSION } from './lib/schema.js';
+import { TOOL_VERSION } from './lib/version.js';
+import { BUILTIN_SCOPES, loadScopeConfig, selectRepositories, usesCustomProperties } from './lib/scope.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,49 +43,457 @@ const program = new Command();
 program
   .name('ghas-audit')
   .description('Run a comprehensive GitHub Advanced Security audit')
-  .version('1.0.0')
-  .option('-o, --org <org>', 'GitHub organization to audit', process.env.GITHUB_ORG)
+  .version(TOOL_VERSION)
+  .option('-o, --org <org>', 'GitHub organization(s) to audit (comma-separated)', process.env.GITHUB_ORG)
+  .option('-e, --enterprise <slug>', 'Audit every organization in a GitHub enterprise', process.env.GITHUB_ENTERPRISE)
   .option('-s, --scope <scope>', 'Audit scope (all, critical, custom)', 'all')
+  .option('--scope-config <file>', 'YAML or JSON scope rules for the custom scope (include/exclude by topic, name, visibility, ...)')
   .option('-r, --repos <repos>', 'Specific repositories to audit (comma-separated)')
   .option('--output <file>', 'Output file for audit results', `reports/audit-${new Date().toISOString().slice(0, 10)}.json`)
   .option('--token <token>', 'GitHub token', process.env.GH_PAT_READ_ORG)
+  .option('--api-url <url>', 'GitHub REST API URL (e.g. https://ghes.example.com/api/v3 for GitHub Enterprise Server)', process.env.GITHUB_API_URL || GITHUB_DOTCOM_API_URL)
+  .option('--app-id <id>', 'GitHub App ID, to authenticate as an app installation instead of a token', process.env.GH_APP_ID)
+  .option('--private-key <key>', 'GitHub App private key (PEM contents or path to a .pem file)', process.env.GH_APP_PRIVATE_KEY)
+  .option('--installation-id <id>', 'GitHub App installation ID (default: the installation on --org)', process.env.GH_APP_INSTALLATION_ID)
+  .option('-c, --concurrency <number>', 'Number of repositories to audit in parallel', (value) => parseInt(value, 10), 4)
+  .option('--checkpoint <file>', 'Checkpoint file for completed repositories (default: <output>.checkpoint.jsonl)')
+  .option('--resume [checkpoint]', 'Resume an interrupted audit from a checkpoint file (default: the --checkpoint file)')
+  .option('--since <date>', 'Include fixed, dismissed and resolved alerts closed on or after this date')
+  .option('--collection <mode>', 'Alert collection mode: repo (per-repository endpoints) or org (organization-wide endpoints)', 'repo')
+  .option('--code-instances', 'Include every instance of each code scanning alert across branches (one extra request per alert)')
+  .option('--secret-locations', 'Include where each secret scanning alert was found (one extra request per alert)')
+  .option('--stale-analysis-days <days>', 'Flag code scanning when the default branch was last analyzed longer ago than this', (value) => parseInt(value, 10), 30)
+  .option('--branch-baseline <file>', 'YAML or JSON branch protection controls every default branch must meet')
+  .option('--criticality-property <name>', 'Organization custom property holding each repository\'s criticality tier', 'criticality')
+  .option('--secret-severity <file>', 'YAML or JSON policy assigning severities to secret types')
+  .option('--baseline <file>', 'Previous audit results; repositories with no pushes, analyses or alert updates since are reused from it')
+  .option('--record <dir>', 'Save every GitHub API response to a directory of fixtures')
+  .option('--replay <dir>', 'Serve GitHub API responses from a --record directory instead of the network')
+  .option('--log-format <format>', 'Log format: text, or json for one event per line on stdout', 'text')
+  .option('--log-level <level>', 'Lowest level logged: debug (every API request), info, warn or error', 'info')
   .parse();
 
 const options = program.opts();
 
 // Validate required options
-if (!options.org) {
-  console.error(chalk.red('Error: Organization name is required'));
+if (!options.org && !options.enterprise) {
+  console.error(chalk.red('Error: Organization name or enterprise slug is required'));
   process.exit(1);
 }
 
-if (!options.token) {
-  console.error(chalk.red('Error: GitHub token is required (set GH_PAT_READ_ORG environment variable)'));
+// Logins are case-insensitive, so acme and ACME are one organization: audit it once, as first spelled
+const seenOrganizations = new Set();
+const organizations = (options.org || '').split(',')
+  .map(org => org.trim())
+  .filter(org => org && !seenOrganizations.has(org.toLowerCase()) && seenOrganizations.add(org.toLowerCase()));
+
+if (!options.enterprise && organizations.length === 0) {
+  console.error(chalk.red(`Error: --org names no organization (got '${options.org}')`));
+  process.exit(1);
+}
+
+const multiOrg = Boolean(options.enterprise) || organizations.length > 1;
+
+const useAppAuth = Boolean(options.appId || options.installationId);
+
+if (useAppAuth && options.enterprise) {
+  console.error(chalk.red('Error: Listing enterprise organizations needs a token with read:enterprise; with GitHub App authentication pass the organizations with --org'));
+  process.exit(1);
+}
+
+if (multiOrg && typeof options.resume === 'string') {
+  console.error(chalk.red('Error: With several organizations, use --resume without a path to resume each organization from its own checkpoint'));
+  process.exit(1);
+}
+
+if (useAppAuth && !(options.appId && options.privateKey)) {
+  console.error(chalk.red('Error: GitHub App authentication requires both --app-id and --private-key'));
+  process.exit(1);
+}
+
+if (options.record && options.replay) {
+  console.error(chalk.red('Error: --record and --replay can\'t be used together'));
+  process.exit(1);
+}
+
+// Replayed responses need no credentials
+if (!useAppAuth && !options.token && !options.replay) {
+  console.error(chalk.red('Error: GitHub token is required (set GH_PAT_READ_ORG environment variable, or use --app-id and --private-key)'));
+  process.exit(1);
+}
+
+if (options.since && Number.isNaN(Date.parse(options.since))) {
+  console.error(chalk.red(`Error: --since must be a valid date (got '${options.since}')`));
+  process.exit(1);
+}
+
+if (!LOG_FORMATS.includes(options.logFormat)) {
+  console.error(chalk.red(`Error: --log-format must be ${LOG_FORMATS.join(' or ')} (got '${options.logFormat}')`));
+  process.exit(1);
+}
+
+if (!LOG_LEVELS.includes(options.logLevel)) {
+  console.error(chalk.red(`Error: --log-level must be one of ${LOG_LEVELS.join(', ')} (got '${options.logLevel}')`));
+  process.exit(1);
+}
+
+const log = createLogger({ format: options.logFormat, level: options.logLevel });
+
+if (!['repo', 'org'].includes(options.collection)) {
+  console.error(chalk.red(`Error: --collection must be 'repo' or 'org' (got '${options.collection}')`));
+  process.exit(1);
+}
+
+// A scope config file always means the custom scope
+if (options.scopeConfig && options.scope === 'all') {
+  options.scope = 'custom';
+}
+
+if (!['all', 'critical', 'custom'].includes(options.scope)) {
+  console.error(chalk.red(`Error: --scope must be all, critical or custom (got '${options.scope}')`));
+  process.exit(1);
+}
+
+if (options.scopeConfig && options.scope !== 'custom') {
+  console.error(chalk.red(`Error: --scope-config defines a custom scope and can't be combined with --scope ${options.scope}`));
+  process.exit(1);
+}
+
+// The custom scope is either a rules file or an explicit --repos list
+if (options.scope === 'custom' && !options.scopeConfig && !options.repos) {
+  console.error(chalk.red('Error: The custom scope needs --scope-config or --repos'));
+  process.exit(1);
+}
+
+let scopeRules;
+try {
+  scopeRules = options.scopeConfig ? await loadScopeConfig(options.scopeConfig) : BUILTIN_SCOPES[options.scope] || BUILTIN_SCOPES.all;
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+
+if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+  console.error(chalk.red('Error: --concurrency must be a positive integer'));
+  process.exit(1);
+}
+
+let secretSeverityPolicy = DEFAULT_SECRET_SEVERITY_POLICY;
+let branchBaseline = DEFAULT_BRANCH_BASELINE;
+try {
+  if (options.secretSeverity) {
+    secretSeverityPolicy = await loadSecretSeverityPolicy(options.secretSeverity);
+  }
+  if (options.branchBaseline) {
+    branchBaseline = await loadBranchBaseline(options.branchBaseline);
+  }
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+
+const baseUrl = options.apiUrl.replace(/\/+$/, '');
+
+// Options that add data to a repository's audit. A reused repository keeps what the baseline
+// collected for it; the rest of the options are applied to it afresh or only pick repositories.
+const BASELINE_OPTIONS = ['codeInstances', 'secretLocations'];
+
+let baseline = null;
+if (options.baseline) {
+  try {
+    baseline = await loadBaseline(options.baseline);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  // Reused repositories keep the baseline's closed-alert window, so it has to match
+  const since = options.since ? new Date(options.since).toISOString() : null;
+  if (baseline.since !== since) {
+    console.error(chalk.red(`Error: The baseline was collected with --since ${baseline.since || '(none)'}; run with the same --since to reuse it`));
+    process.exit(1);
+  }
+
+  // Repositories are matched by name, which says nothing about which server they live on
+  if (baseline.apiUrl !== baseUrl) {
+    console.error(chalk.red(`Error: The baseline was collected from ${baseline.apiUrl}; run with --api-url ${baseline.apiUrl} to reuse it`));
+    process.exit(1);
+  }
+
+  // Reused repositories keep the data the baseline collected, so it has to have collected the same
+  const mismatched = BASELINE_OPTIONS.filter(key => Boolean(baseline.options[key]) !== Boolean(options[key]));
+  if (mismatched.length > 0) {
+    const described = mismatched.map(key => `${baseline.options[key] ? 'with' : 'without'} --${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`);
+    console.error(chalk.red(`Error: The baseline was collected ${described.join(' and ')}; run the same way to reuse it, or without --baseline to collect everything afresh`));
+    process.exit(1);
+  }
+}
+
+if (!Number.isInteger(options.staleAnalysisDays) || options.staleAnalysisDays < 1) {
+  console.error(chalk.red('Error: --stale-analysis-days must be a positive integer'));
   process.exit(1);
 }
 
-// Initialize Octokit
-const octokit = new Octokit({
-  auth: options.token,
+// Options that change what gets collected; a checkpoint is only resumable with the same values
+const CHECKPOINT_OPTIONS = ['apiUrl', 'collection', 'repos', 'since', 'scopeConfig', 'codeInstances', 'secretLocations', 'secretSeverity', 'branchBaseline', 'staleAnalysisDays', 'criticalityProperty', 'baseline'];
+
+// Security features are tri-state so a permission error reads as neither enabled nor disabled
+const FEATURE_STATUS = {
+  ENABLED: 'enabled',
+  DISABLED: 'disabled',
+  UNKNOWN: 'unknown',
+};
+
+// Multi-select properties hold a list; the first entry is the tier
+const criticalityOf = (repo) => {
+  const value = repo.customProperties?.[options.criticalityProperty];
+  return (Array.isArray(value) ? value[0] : value) ?? null;
+};
+
+// Repository attributes that come with the listing, so they cost no requests
+const repositoryMetadata = (repo) => ({
+  visibility: repo.visibility || (repo.private ? 'private' : 'public'),
+  archived: Boolean(repo.archived),
+  fork: Boolean(repo.fork),
+  language: repo.language || null,
+  topics: repo.topics || [],
+  // null when custom properties couldn't be read, as opposed to none set
+  customProperties: repo.customProperties || null,
+  criticality: criticalityOf(repo),
+});
+
+// Where GitHub looks for a security policy, in its order; an organization's public
+// .github repository supplies one to every repository without its own
+const SECURITY_POLICY_PATHS = ['.github/SECURITY.md', 'SECURITY.md', 'docs/SECURITY.md'];
+
+const withStatus = (status) => ({ status, enabled: status === FEATURE_STATUS.ENABLED });
+
+// 404 means the feature is off; a 403 only does when GitHub says so (e.g. GHAS not
+// enabled), otherwise it means the token lacks permission and we can't tell
+const statusFromError = (result) => {
+  if (result.status === 404) return FEATURE_STATUS.DISABLED;
+  if (result.status === 403 && /not enabled|must be enabled|is disabled/i.test(result.message)) {
+    return FEATURE_STATUS.DISABLED;
+  }
+  return FEATURE_STATUS.UNKNOWN;
+};
+
+// Failed requests carry their HTTP status; requestSetting results and GraphQL errors may not
+const collectionError = (repo, source, error) => ({
+  repository: repo?.name ?? null,
+  source,
+  status: error.status ?? null,
+  message: error.message,
+});
+
+// CodeQL tags rules with their weaknesses as 'external/cwe/cwe-089'
+const cwesFromTags = (tags = []) => [...new Set(tags
+  .map(tag => tag.match(/^external\/cwe\/cwe-0*(\d+)$/i))
+  .filter(Boolean)
+  .map(([, id]) => `CWE-${id}`))];
+
+const toCodeInstance = (instance) => ({
+  ref: instance.ref,
+  state: instance.state,
+  commitSha: instance.commit_sha,
+  category: instance.category,
+  analysisKey: instance.analysis_key,
+  path: instance.location?.path,
+  startLine: instance.location?.start_line,
+  endLine: instance.location?.end_line,
+});
+
+// Repository and organization alert endpoints return the same alert objects,
+// so both collection modes share these mappings
+const toCodeAlert = (alert) => ({
+  number: alert.number,
+  state: alert.state,
+  severity: alert.rule.security_severity_level || 'unknown',
+  // security_severity_level is only set for security queries; rule.severity (error, warning, note) always is
+  securitySeverityLevel: alert.rule.security_severity_level || null,
+  ruleSeverity: alert.rule.severity,
+  rule: alert.rule.id,
+  ruleName: alert.rule.name,
+  description: alert.rule.description,
+  tags: alert.rule.tags || [],
+  cwes: cwesFromTags(alert.rule.tags),
+  path: alert.most_recent_instance.location?.path,
+  startLine: alert.most_recent_instance.location?.start_line,
+  endLine: alert.most_recent_instance.location?.end_line,
+  ref: alert.most_recent_instance.ref,
+  commitSha: alert.most_recent_instance.commit_sha,
+  category: alert.most_recent_instance.category,
+  createdAt: alert.created_at,
+  updatedAt: alert.updated_at,
+  fixedAt: alert.fixed_at,
+  dismissedAt: alert.dismissed_at,
+  dismissedReason: alert.dismissed_reason,
+  tool: alert.tool.name,
+  toolVersion: alert.tool.version,
 });
 
-const graphqlWithAuth = graphql.defaults({
-  headers: {
-    authorization: `token ${options.token}`,
-  },
+const toSecretAlert = (alert) => ({
+  number: alert.number,
+  state: alert.state,
+  secretType: alert.secret_type,
+  secretTypeDisplayName: alert.secret_type_display_name,
+  // Whether the partner still accepts the credential: active, inactive or unknown
+  validity: alert.validity || 'unknown',
+  publiclyLeaked: alert.publicly_leaked ?? null,
+  multiRepo: alert.multi_repo ?? null,
+  createdAt: alert.created_at,
+  updatedAt: alert.updated_at,
+  resolvedAt: alert.resolved_at,
+  resolvedBy: alert.resolved_by?.login,
+  resolution: alert.resolution,
+  // Servers before GHES 3.7 don't say whether push protection was bypassed
+  pushProtectionBypassed: alert.push_protection_bypassed ?? null,
+  pushProtectionBypassedBy: alert.push_protection_bypassed_by?.login || null,
+  pushProtectionBypassedAt: alert.push_protection_bypassed_at || null,
 });
 
+const toSecretLocation = ({ type, details = {} }) => ({
+  type,
+  path: details.path || null,
+  startLine: details.start_line ?? null,
+  endLine: details.end_line ?? null,
+  commitSha: details.commit_sha || null,
+  // Secrets in issues, pull requests, discussions and wiki pages are found by URL rather than path
+  url: details.page_url ||
+    Object.entries(details).find(([key]) => key.endsWith('_url') && !['blob_url', 'commit_url'].includes(key))?.[1] ||
+    null,
+});
+
+const cveOf = (identifiers = []) => identifiers.find(identifier => identifier.type === 'CVE')?.value || null;
+
+const toDependabotAlert = (alert) => ({
+  id: alert.id,
+  state: alert.state.toLowerCase(),
+  createdAt: alert.createdAt,
+  fixedAt: alert.fixedAt,
+  dismissedAt: alert.dismissedAt || alert.autoDismissedAt,
+  dismissedReason: alert.dismissReason || (alert.autoDismissedAt ? 'auto_dismissed' : null),
+  severity: alert.securityVulnerability.severity,
+  package: alert.securityVulnerability.package.name,
+  ecosystem: alert.securityVulnerability.package.ecosystem,
+  advisory: alert.securityVulnerability.advisory.ghsaId,
+  cveId: cveOf(alert.securityVulnerability.advisory.identifiers),
+  identifiers: alert.securityVulnerability.advisory.identifiers || [],
+  cwes: alert.securityVulnerability.advisory.cwes?.nodes.map(node => node.cweId) || [],
+  vulnerableVersionRange: alert.securityVulnerability.vulnerableVersionRange,
+  firstPatchedVersion: alert.securityVulnerability.firstPatchedVersion?.identifier || null,
+  manifest: alert.vulnerableManifestPath,
+  scope: alert.dependencyScope?.toLowerCase() || null,
+  fixPullRequest: alert.dependabotUpdate?.pullRequest
+    ? {
+      number: alert.dependabotUpdate.pullRequest.number,
+      url: alert.dependabotUpdate.pullRequest.url,
+      state: alert.dependabotUpdate.pullRequest.state.toLowerCase(),
+    }
+    : null,
+  fixError: alert.dependabotUpdate?.error?.title || null,
+  epss: alert.securityVulnerability.advisory.epss || null,
+  summary: alert.securityVulnerability.advisory.summary,
+  cvssScore: alert.securityVulnerability.advisory.cvss?.score,
+});
+
+// The REST Dependabot API uses lowercase severities and 'medium'; keep the GraphQL vocabulary
+const REST_DEPENDABOT_SEVERITY = { critical: 'CRITICAL', high: 'HIGH', medium: 'MODERATE', low: 'LOW' };
+
+const toRestDependabotAlert = (alert) => ({
+  id: alert.number,
+  state: alert.state,
+  createdAt: alert.created_at,
+  fixedAt: alert.fixed_at,
+  dismissedAt: alert.dismissed_at || alert.auto_dismissed_at,
+  dismissedReason: alert.dismissed_reason || (alert.auto_dismissed_at ? 'auto_dismissed' : null),
+  severity: REST_DEPENDABOT_SEVERITY[alert.security_advisory.severity] || alert.security_advisory.severity,
+  package: alert.security_vulnerability.package.name,
+  ecosystem: alert.security_vulnerability.package.ecosystem.toUpperCase(),
+  advisory: alert.security_advisory.ghsa_id,
+  cveId: alert.security_advisory.cve_id || cveOf(alert.security_advisory.identifiers),
+  identifiers: alert.security_advisory.identifiers || [],
+  cwes: alert.security_advisory.cwes?.map(cwe => cwe.cwe_id) || [],
+  vulnerableVersionRange: alert.security_vulnerability.vulnerable_version_range,
+  firstPatchedVersion: alert.security_vulnerability.first_patched_version?.identifier || null,
+  manifest: alert.dependency?.manifest_path,
+  scope: alert.dependency?.scope || null,
+  // The REST API doesn't link Dependabot's pull requests
+  fixPullRequest: null,
+  fixError: null,
+  epss: alert.security_advisory.epss || null,
+  summary: alert.security_advisory.summary,
+  cvssScore: alert.security_advisory.cvss?.score,
+});
+
+// Octokit with rate-limit aware retries, authenticated with a token or app installation
+const ThrottledOctokit = Octokit.plugin(throttling);
+const clients = new Map();
+
+// App installations are per organization, so each org gets its own client unless
+// a single token or installation covers them all
+async function createClient(org) {
+  const key = useAppAuth && !options.installationId && !options.replay ? org : 'shared';
+  if (clients.has(key)) return clients.get(key);
+
+  // Recorded responses come back instantly, so there's nothing to authenticate or throttle
+  if (options.replay) {
+    const octokit = new Octokit({ baseUrl });
+    installReplay(octokit, options.replay);
+    installRequestLogging(octokit, log);
+    clients.set(key, octokit);
+    return octokit;
+  }
+
+  const authOptions = await createAuthOptions(useAppAuth ? options : { token: options.token }, {
+    org,
+    requestDefaults: { baseUrl },
+  });
+
+  const octokit = new ThrottledOctokit({
+    ...authOptions,
+    baseUrl,
+    throttle: createThrottleOptions({ log }),
+  });
+
+  installRateLimitGate(octokit, { log });
+  if (options.record) {
+    await installRecorder(octokit, options.record);
+  }
+  installRequestLogging(octokit, log);
+
+  clients.set(key, octokit);
+  return octokit;
+}
+
+// Per-organization checkpoints sit next to the shared one: audit.checkpoint.jsonl -> audit.checkpoint.<org>.jsonl
+const checkpointFileFor = (org) => {
+  const base = options.checkpoint || `${options.output}.checkpoint.jsonl`;
+  return multiOrg ? base.replace(/(\.jsonl)?$/, `.${org}$1`) : base;
+};
+
 // Audit class
 class GHASAudit {
-  constructor(org, options) {
+  constructor(org, options, octokit) {
     this.org = org;
     this.options = options;
+    this.octokit = octokit;
+    // Share the REST client's auth, throttling and server for GraphQL (/api/v3 maps to /api/graphql on GHES)
+    this.graphqlWithAuth = octokit?.graphql;
+    this.log = log.child({ organization: org });
+    // Collection errors of the repositories being audited, until they land on their repoAudit
+    this.repoErrors = new Map();
     this.results = {
       metadata: {
         organization: org,
         auditDate: new Date().toISOString(),
         scope: options.scope,
-        version: '1.0.0',
+        since: options.since ? new Date(options.since).toISOString() : null,
+        collection: options.collection,
+        // What a later run has to match to resume from or reuse these results
+        options: recordOptions(options, CHECKPOINT_OPTIONS),
+        version: TOOL_VERSION,
+        schemaVersion: AUDIT_RESULTS_SCHEMA_VERSION,
       },
       summary: {
         totalRepositories: 0,
@@ -76,46 +506,262 @@ class GHASAudit {
         secretAlerts: 0,
         dependencyAlerts: 0,
         codeAlerts: 0,
+        patchAvailableAlerts: 0,
+        activeSecretAlerts: 0,
+        closedAlerts: 0,
+        featuresUnknownRepositories: 0,
+        branchBaselineFailingRepositories: 0,
+        staleAnalysisRepositories: 0,
+        analysisProblemRepositories: 0,
+        missingLanguageRepositories: 0,
+        failedRunRepositories: 0,
+        unownedRepositories: 0,
+        failedRepositories: 0,
       },
+      // Data that couldn't be collected, per repository and source
+      collectionErrors: [],
       repositories: [],
       compliance: {
         overallScore: 0,
         frameworks: {},
       },
     };
+
+    if (baseline) {
+      this.results.metadata.baseline = { file: baseline.file, auditDate: baseline.auditDate };
+      Object.assign(this.results.summary, { refreshedRepositories: 0, reusedRepositories: 0 });
+    }
   }
 
   async run() {
-    console.log(chalk.blue.bold(`\n🔍 Starting GHAS Security Audit for ${this.org}\n`));
+    try {
+      await this.collect();
+
+      // Save results
+      await this.saveResults();
+
+      await this.finishCheckpoint();
+
+      this.reportCompletion();
+
+    } catch (error) {
+      this.log.error('audit.failed', { message: error.message });
+      process.exit(1);
+    }
+  }
+
+  // With the full results on disk the checkpoint has served its purpose, unless
+  // repositories failed: resuming from it is the only way to retry just those
+  async finishCheckpoint() {
+    const failed = this.failedRepositories || [];
+    if (failed.length === 0) {
+      await this.checkpoint.remove();
+      return;
+    }
 
-    const spinner = ora('Fetching repositories...').start();
+    this.log.warn('checkpoint.kept', {
+      file: this.checkpoint.file,
+      failedRepositories: failed,
+      message: `${failed.length} repositories failed (${failed.join(', ')}); checkpoint kept at ${this.checkpoint.file}, run again with --resume to retry them`,
+    });
+  }
+
+  // People get the printed summary; log pipelines get it as the closing event
+  reportCompletion() {
+    if (log.json) {
+      const { summary, compliance, collectionErrors } = this.results;
+      this.log.info('audit.completed', {
+        summary,
+        complianceScore: compliance.overallScore,
+        collectionErrors: collectionErrors.length,
+      });
+    } else {
+      this.printSummary();
+    }
+  }
+
+  async collect() {
+    if (!log.json) {
+      console.log(chalk.blue.bold(`\n🔍 Starting GHAS Security Audit for ${this.org}\n`));
+    }
+    this.log.info('audit.started', { scope: this.options.scope, collection: this.options.collection });
+
+    const spinner = ora({ text: 'Probing server capabilities...', isSilent: log.json }).start();
 
     try {
+      // Find out what this server supports before calling anything version-specific
+      await this.probeServer();
+      spinner.succeed(this.describeServer());
+      this.log.info('server.probed', this.results.metadata.server);
+
       // Get repositories to audit
+      spinner.start('Fetching repositories...');
       const repos = await this.getRepositories();
       spinner.succeed(`Found ${repos.length} repositories to audit`);
+      this.log.info('repositories.selected', { count: repos.length });
 
       this.results.summary.totalRepositories = repos.length;
 
-      // Audit each repository
-      for (const repo of repos) {
-        await this.auditRepository(repo);
+      // Skip repositories a previous, interrupted run already completed
+      const completed = await this.prepareCheckpoint();
+      const pending = repos.filter(repo => !completed.has(repo.name));
+
+      if (completed.size > 0) {
+        if (!log.json) {
+          console.log(chalk.blue(`Resuming: ${repos.length - pending.length} repositories restored from checkpoint, ${pending.length} remaining`));
+        }
+        this.log.info('checkpoint.resumed', { restored: repos.length - pending.length, remaining: pending.length });
+      }
+
+      // One paginated sweep per alert source instead of three calls per repository
+      if (this.options.collection === 'org' && pending.length > 0) {
+        await this.prefetchOrgAlerts();
       }
 
+      // Audit repositories in parallel, checkpointing each as it finishes
+      const audited = await runPool(pending, this.options.concurrency, async repo => {
+        const repoAudit = baseline ? await this.auditIncrementally(repo) : await this.auditRepository(repo);
+        if (repoAudit) {
+          await this.checkpoint.add(repoAudit);
+        } else {
+          await this.checkpoint.fail(repo.name);
+        }
+        return repoAudit;
+      });
+
+      // Failed repositories are left out of the results and retried on --resume
+      this.failedRepositories = pending.filter((repo, index) => !audited[index]).map(repo => repo.name);
+      this.results.summary.failedRepositories = this.failedRepositories.length;
+
+      // Merge restored and fresh results, keeping repository order
+      const auditedByName = new Map(audited.filter(Boolean).map(repoAudit => [repoAudit.name, repoAudit]));
+      this.results.repositories = repos
+        .map(repo => {
+          const restored = completed.get(repo.name);
+          if (restored) {
+            this.updateSummary(restored);
+            this.results.summary.scannedRepositories++;
+            if (baseline && restored.incremental) {
+              this.results.summary[`${restored.incremental.status}Repositories`]++;
+            }
+          }
+          return restored || auditedByName.get(repo.name);
+        })
+        .filter(Boolean);
+
+      // Restored repositories bring the errors of the run that collected them
+      this.results.collectionErrors.push(...this.results.repositories.flatMap(repoAudit => repoAudit.collectionErrors || []));
+
       // Calculate compliance scores
       this.calculateCompliance();
 
-      // Save results
-      await this.saveResults();
+      return this.results;
+    } catch (error) {
+      spinner.fail(`Audit of ${this.org} failed`);
+      throw error;
+    }
+  }
 
-      // Print summary
-      this.printSummary();
+  async prepareCheckpoint() {
+    let header = createCheckpointHeader(this.org, this.options, CHECKPOINT_OPTIONS);
+    let completed = new Map();
 
-    } catch (error) {
-      spinner.fail('Audit failed');
-      console.error(chalk.red(error.message));
-      process.exit(1);
+    // --resume without a path resumes from the checkpoint this run would write
+    const file = typeof this.options.resume === 'string' ? this.options.resume : checkpointFileFor(this.org);
+
+    if (this.options.resume) {
+      const checkpoint = await loadCheckpoint(file);
+      assertCheckpointMatches(checkpoint.header, header);
+
+      header = checkpoint.header;
+      completed = checkpoint.repositories;
+      this.results.metadata.resumedFrom = path.resolve(file);
     }
+
+    this.checkpoint = new CheckpointWriter(file);
+    await this.checkpoint.start(header, [...completed.values()]);
+
+    return completed;
+  }
+
+  async probeServer() {
+    const { capabilities, ...server } = await probeCapabilities(this.octokit, baseUrl);
+    this.capabilities = capabilities;
+    this.results.metadata.server = { ...server, capabilities };
+  }
+
+  describeServer() {
+    const { product, version, capabilities } = this.results.metadata.server;
+    const unsupported = Object.keys(capabilities).filter(name => !capabilities[name]);
+    const name = product === 'ghes' ? `GitHub Enterprise Server ${version}` : product;
+
+    return unsupported.length > 0
+      ? `Connected to ${name} (not supported, skipped: ${unsupported.join(', ')})`
+      : `Connected to ${name}`;
+  }
+
+  // Unprobed capabilities count as supported so nothing is skipped by accident
+  supports(capability) {
+    return this.capabilities?.[capability] !== false;
+  }
+
+  async prefetchOrgAlerts() {
+    const spinner = ora({ text: 'Fetching organization-wide alerts...', isSilent: log.json }).start();
+    const sources = {
+      code: { route: 'GET /orgs/{org}/code-scanning/alerts', map: toCodeAlert, capability: 'orgCodeScanningAlerts' },
+      secret: { route: 'GET /orgs/{org}/secret-scanning/alerts', map: toSecretAlert, capability: 'orgSecretScanningAlerts' },
+      dependency: { route: 'GET /orgs/{org}/dependabot/alerts', map: toRestDependabotAlert, capability: 'orgDependabotAlerts' },
+    };
+    const counts = [];
+
+    this.orgAlerts = {};
+
+    for (const [source, { route, map, capability }] of Object.entries(sources)) {
+      // Older servers lack some organization endpoints; those sources stay per-repository
+      if (!this.supports(capability)) {
+        this.orgAlerts[source] = null;
+        continue;
+      }
+
+      try {
+        const data = await this.octokit.paginate(route, {
+          org: this.org,
+          ...this.alertStateFilter('open'),
+          per_page: 100,
+        });
+
+        // Bucket back into the per-repository shape the rest of the audit expects
+        const buckets = new Map();
+        data.forEach(alert => {
+          const mapped = map(alert);
+          if (!this.isInWindow(mapped)) return;
+
+          const repoName = alert.repository.name;
+          if (!buckets.has(repoName)) buckets.set(repoName, []);
+          buckets.get(repoName).push(mapped);
+        });
+
+        this.orgAlerts[source] = buckets;
+        counts.push(`${data.length} ${source}`);
+      } catch (error) {
+        // Leave this source to the per-repository endpoints
+        this.orgAlerts[source] = null;
+        this.log.warn('collection.fallback', {
+          source: `${source}-alerts`,
+          status: error.status ?? null,
+          error: error.message,
+          message: `Could not fetch organization ${source} alerts (${error.message}), falling back to per-repository requests`,
+        });
+      }
+    }
+
+    spinner.succeed(`Fetched organization-wide alerts (${counts.join(', ') || 'none'})`);
+  }
+
+  // Alerts prefetched from the organization endpoints, or null to fetch per repository
+  orgAlertsFor(source, repo) {
+    const buckets = this.orgAlerts?.[source];
+    return buckets ? buckets.get(repo.name) || [] : null;
   }
 
   async getRepositories() {
@@ -126,16 +772,24 @@ class GHASAudit {
 
       for (const repoName of repoNames) {
         try {
-          const { data } = await octokit.repos.get({
+          const { data } = await this.octokit.repos.get({
             owner: this.org,
             repo: repoName,
           });
           repos.push(data);
         } catch (error) {
-          console.warn(chalk.yellow(`Warning: Could not access repository ${repoName}`));
+          this.recordCollectionError({ name: repoName }, 'repository', error);
         }
       }
 
+      await this.attachCustomProperties(repos, false);
+
+      this.results.metadata.scopeSelection = {
+        rules: 'repos option',
+        matched: repos.map(repo => ({ name: repo.name, reason: 'listed in --repos' })),
+        excluded: [],
+      };
+
       return repos;
     }
 
@@ -145,7 +799,7 @@ class GHASAudit {
     let hasMore = true;
 
     while (hasMore) {
-      const { data } = await octokit.repos.listForOrg({
+      const { data } = await this.octokit.repos.listForOrg({
         org: this.org,
         type: 'all',
         per_page: 100,
@@ -157,23 +811,71 @@ class GHASAudit {
       page++;
     }
 
-    // Filter based on scope
-    if (this.options.scope === 'critical') {
-      // In a real scenario, you might have a list of critical repos
-      // For now, we'll filter by topics or other criteria
-      return repos.filter(repo =>
-        repo.topics?.includes('critical') ||
-        repo.topics?.includes('production') ||
-        repo.name.includes('api') ||
-        repo.name.includes('auth')
-      );
+    await this.attachCustomProperties(repos, usesCustomProperties(scopeRules));
+
+    // Filter based on scope rules, recording why each repository is in or out
+    const { selected, matched, excluded } = selectRepositories(repos, scopeRules);
+
+    this.results.metadata.scopeSelection = {
+      rules: this.options.scopeConfig ? path.resolve(this.options.scopeConfig) : `builtin:${this.options.scope}`,
+      matched,
+      excluded,
+    };
+
+    return selected;
+  }
+
+  // Newer servers include custom_properties in repository listings; otherwise ask the org.
+  // Scope rules can't be applied without them, but the criticality tier can be left out.
+  async attachCustomProperties(repos, required) {
+    if (repos.every(repo => repo.custom_properties)) {
+      repos.forEach(repo => {
+        repo.customProperties = repo.custom_properties;
+      });
+      return;
     }
 
-    return repos;
+    if (!this.supports('customProperties')) {
+      if (required) {
+        throw new Error('The scope rules use custom properties, which this server does not support');
+      }
+      return;
+    }
+
+    let values;
+    try {
+      values = await this.octokit.paginate('GET /orgs/{org}/properties/values', {
+        org: this.org,
+        per_page: 100,
+      });
+    } catch (error) {
+      if (required) throw error;
+      this.recordCollectionError(null, 'custom-properties', error);
+      return;
+    }
+
+    const byRepo = new Map(values.map(entry => [
+      entry.repository_name,
+      Object.fromEntries(entry.properties.map(property => [property.property_name, property.value])),
+    ]));
+
+    repos.forEach(repo => {
+      repo.customProperties = byRepo.get(repo.name) || {};
+    });
   }
 
   async auditRepository(repo) {
-    const spinner = ora(`Auditing ${repo.name}...`).start();
+    // Animated spinners overwrite each other when repos run in parallel,
+    // so fall back to one line per start/finish
+    const spinner = ora({
+      text: `Auditing ${repo.name}...`,
+      isEnabled: this.options.concurrency > 1 ? false : undefined,
+      isSilent: log.json,
+    }).start();
+    const started = Date.now();
+
+    this.repoErrors.set(repo.name, []);
+    this.log.debug('repo.started', { repository: repo.name, message: `Auditing ${repo.name}` });
 
     try {
       const repoAudit = {
@@ -182,120 +884,546 @@ class GHASAudit {
         private: repo.private,
         defaultBranch: repo.default_branch,
         lastUpdated: repo.updated_at,
+        pushedAt: repo.pushed_at,
+        ...repositoryMetadata(repo),
+        ownership: await this.getOwnership(repo),
+        documentation: await this.getDocumentation(repo),
         securityFeatures: await this.getSecurityFeatures(repo),
         alerts: {
           code: [],
           secret: [],
           dependency: [],
         },
+        findings: [],
         metrics: {
           totalAlerts: 0,
           openAlerts: 0,
           closedAlerts: 0,
+          fixedAlerts: 0,
+          dismissedAlerts: 0,
+          closureRate: 0,
           meanTimeToResolve: 0,
+          dismissalReasons: {},
+          patchAvailableAlerts: 0,
+          activeSecretAlerts: 0,
         },
       };
 
       // Get code scanning alerts
       try {
-        repoAudit.alerts.code = await this.getCodeScanningAlerts(repo);
+        if (this.supports('codeScanningAlerts')) {
+          repoAudit.alerts.code = this.orgAlertsFor('code', repo) ?? await this.getCodeScanningAlerts(repo);
+          if (this.options.codeInstances) {
+            await this.attachCodeInstances(repo, repoAudit.alerts.code);
+          }
+        }
       } catch (error) {
         repoAudit.securityFeatures.codeScanning.error = error.message;
+        this.recordAlertError(repo, 'code-scanning-alerts', error);
       }
 
       // Get secret scanning alerts
       try {
-        repoAudit.alerts.secret = await this.getSecretScanningAlerts(repo);
+        if (this.supports('secretScanningAlerts')) {
+          repoAudit.alerts.secret = this.orgAlertsFor('secret', repo) ?? await this.getSecretScanningAlerts(repo);
+          if (this.options.secretLocations) {
+            await this.attachSecretLocations(repo, repoAudit.alerts.secret);
+          }
+        }
       } catch (error) {
         repoAudit.securityFeatures.secretScanning.error = error.message;
+        this.recordAlertError(repo, 'secret-scanning-alerts', error);
       }
 
       // Get Dependabot alerts
       try {
-        repoAudit.alerts.dependency = await this.getDependabotAlerts(repo);
+        if (this.supports('dependabotAlerts')) {
+          repoAudit.alerts.dependency = this.orgAlertsFor('dependency', repo) ?? await this.getDependabotAlerts(repo);
+        }
       } catch (error) {
         repoAudit.securityFeatures.dependabot.error = error.message;
+        this.recordAlertError(repo, 'dependabot-alerts', error);
       }
 
+      // Normalize and de-duplicate alerts into findings
+      repoAudit.findings = buildFindings(repoAudit, secretSeverityPolicy);
+
       // Calculate metrics
       this.calculateRepoMetrics(repoAudit);
 
       // Update summary
       this.updateSummary(repoAudit);
 
-      this.results.repositories.push(repoAudit);
       this.results.summary.scannedRepositories++;
 
-      spinner.succeed(`${repo.name} - ${repoAudit.metrics.totalAlerts} alerts found`);
+      repoAudit.collectionErrors = this.repoErrors.get(repo.name);
+
+      spinner.succeed(`${repo.name} - ${repoAudit.metrics.openAlerts} open alerts found`);
+      this.log.info('repo.audited', {
+        repository: repo.name,
+        alerts: repoAudit.metrics.openAlerts,
+        collectionErrors: repoAudit.collectionErrors.length,
+        durationMs: Date.now() - started,
+      });
 
+      return repoAudit;
     } catch (error) {
       spinner.fail(`${repo.name} - Error: ${error.message}`);
+      // The repository won't be in the results, so its error goes straight to the top level
+      this.results.collectionErrors.push(collectionError(repo, 'repository', error));
+      this.log.error('repo.failed', { repository: repo.name, status: error.status ?? null, error: error.message });
+      return null;
+    } finally {
+      this.repoErrors.delete(repo.name);
     }
   }
 
-  async getSecurityFeatures(repo) {
-    const features = {
-      codeScanning: { enabled: false, lastRun: null },
-      secretScanning: { enabled: false, pushProtection: false },
-      dependabot: { enabled: false, securityUpdates: false },
-      branchProtection: { enabled: false, rules: [] },
-    };
+  // Record data that couldn't be collected: on the repository while it is
+  // being audited, otherwise (listing, organization-wide data) at the top level
+  recordCollectionError(repo, source, error) {
+    const entry = collectionError(repo, source, error);
+    (this.repoErrors.get(repo?.name) || this.results.collectionErrors).push(entry);
+
+    this.log.warn('collection.error', {
+      ...entry,
+      error: entry.message,
+      message: `Could not collect ${source}${repo ? ` for ${repo.name}` : ''}${entry.status ? ` (HTTP ${entry.status})` : ''}: ${entry.message}`,
+    });
+  }
+
+  // An alert source answering "not enabled" means there are no alerts, not missing ones
+  recordAlertError(repo, source, error) {
+    if (statusFromError(error) !== FEATURE_STATUS.DISABLED) {
+      this.recordCollectionError(repo, source, error);
+    }
+  }
+
+  // Carry a repository forward from the baseline unless it changed since, otherwise audit it afresh
+  async auditIncrementally(repo) {
+    const previous = baseline.repositories.get(baselineKey(this.org, repo.name));
+    let reason;
 
     try {
-      // Check code scanning
-      const { data: codeScanning } = await octokit.request('GET /repos/{owner}/{repo}/code-scanning/analyses', {
-        owner: this.org,
-        repo: repo.name,
-        per_page: 1,
-      }).catch(() => ({ data: [] }));
+      reason = previous ? await this.changeSinceBaseline(repo, previous) : 'not in baseline';
+    } catch (error) {
+      reason = `change check failed: ${error.message}`;
+    }
 
-      if (codeScanning.length > 0) {
-        features.codeScanning.enabled = true;
-        features.codeScanning.lastRun = codeScanning[0].created_at;
+    if (!reason) {
+      // Listing fields are free to refresh; only the collected data is reused. Team access
+      // changes don't show up as a push, so ownership is as of the baseline.
+      const repoAudit = {
+        ...previous,
+        url: repo.html_url,
+        private: repo.private,
+        lastUpdated: repo.updated_at,
+        ...repositoryMetadata(repo),
+        // An inherited security policy lives in another repository, so it's looked up again
+        documentation: previous.documentation.securityPolicySource === 'repository'
+          ? previous.documentation
+          : await this.inheritedDocumentation(),
+        // A chain of incremental runs still reports when the data was actually collected
+        incremental: { status: 'reused', collectedAt: previous.incremental?.collectedAt || baseline.auditDate },
+      };
+
+      // Findings and assessments follow this run's policies (and clock) rather than the baseline's
+      repoAudit.findings = buildFindings(repoAudit, secretSeverityPolicy);
+      this.calculateRepoMetrics(repoAudit);
+      repoAudit.securityFeatures = this.assessSecurityFeatures(structuredClone(previous.securityFeatures));
+      this.updateSummary(repoAudit);
+      this.results.summary.scannedRepositories++;
+      this.results.summary.reusedRepositories++;
+
+      if (!log.json) {
+        console.log(chalk.gray(`${repo.name} - unchanged since baseline, reused`));
       }
+      this.log.info('repo.reused', { repository: repo.name, collectedAt: repoAudit.incremental.collectedAt });
+      return repoAudit;
+    }
 
-      // Check secret scanning (requires admin access)
-      try {
-        await octokit.request('GET /repos/{owner}/{repo}/secret-scanning/alerts', {
-          owner: this.org,
-          repo: repo.name,
-          per_page: 1,
-        });
-        features.secretScanning.enabled = true;
-      } catch (error) {
-        if (error.status !== 404) {
-          features.secretScanning.enabled = true;
-        }
+    const repoAudit = await this.auditRepository(repo);
+    if (repoAudit) {
+      repoAudit.incremental = { status: 'refreshed', reason };
+      this.results.summary.refreshedRepositories++;
+    }
+    return repoAudit;
+  }
+
+  // Why a repository needs re-auditing, or null if nothing changed since the baseline. Each
+  // check is a single-item request, far cheaper than collecting settings and alerts again
+  async changeSinceBaseline(repo, previous) {
+    if (!previous.pushedAt) return 'baseline has no push date';
+    if (!previous.ownership) return 'baseline has no ownership data';
+    if (!previous.documentation) return 'baseline has no documentation data';
+    if (previous.collectionErrors?.length > 0) return 'baseline collection was incomplete';
+    if (repo.pushed_at !== previous.pushedAt) return 'pushed since baseline';
+    if (repo.default_branch !== previous.defaultBranch) return 'default branch changed';
+
+    const analyses = await this.requestSetting('GET /repos/{owner}/{repo}/code-scanning/analyses', repo, { per_page: 1 });
+    const lastRun = analyses.ok ? analyses.data[0]?.created_at || null : null;
+    if (lastRun !== (previous.securityFeatures?.codeScanning?.lastRun ?? null)) {
+      return 'new code scanning analysis';
+    }
+
+    // The audit reads Dependabot alerts over GraphQL, which can't sort by update time
+    if (this.supports('dependabotAlerts') && !this.supports('repoDependabotAlerts')) {
+      return 'Dependabot alert updates not detectable on this server';
+    }
+
+    const sources = [
+      { label: 'code scanning', capability: 'codeScanningAlerts', route: 'GET /repos/{owner}/{repo}/code-scanning/alerts' },
+      { label: 'secret scanning', capability: 'secretScanningAlerts', route: 'GET /repos/{owner}/{repo}/secret-scanning/alerts' },
+      { label: 'Dependabot', capability: 'repoDependabotAlerts', route: 'GET /repos/{owner}/{repo}/dependabot/alerts' },
+    ];
+
+    for (const { label, capability, route } of sources) {
+      if (!this.supports(capability)) continue;
+
+      // No state filter: an alert being fixed, dismissed or reopened is a change too
+      const latest = await this.requestSetting(route, repo, { sort: 'updated', direction: 'desc', per_page: 1 });
+      if (!latest.ok) {
+        if (statusFromError(latest) === FEATURE_STATUS.DISABLED) continue;
+        return `${label} alerts not readable (HTTP ${latest.status})`;
+      }
+
+      const updatedAt = latest.data[0]?.updated_at;
+      if (updatedAt && new Date(updatedAt) > new Date(baseline.auditDate)) {
+        return `${label} alerts updated`;
       }
+    }
+
+    return null;
+  }
+
+  /**
+   * Who owns a repository: the teams and users CODEOWNERS names, and the teams
+   * with admin or maintain access. `owner` is the single team reports group
+   * by: the default (`*`) code owner team, else the first code owner team,
+   * else the first admin team. Team lists are null when they couldn't be read.
+   */
+  async getOwnership(repo) {
+    const ownership = {
+      codeownersFile: null,
+      codeownerTeams: [],
+      codeownerUsers: [],
+      defaultCodeowners: [],
+      adminTeams: null,
+      maintainTeams: null,
+      owner: null,
+    };
+
+    // GitHub uses the first CODEOWNERS it finds on the branch
+    const codeowners = await this.findFile(repo, CODEOWNERS_PATHS);
+    if (codeowners) {
+      const { teams, users, defaultOwners } = parseCodeowners(codeowners.content);
+      Object.assign(ownership, {
+        codeownersFile: codeowners.path,
+        codeownerTeams: teams,
+        codeownerUsers: users,
+        defaultCodeowners: defaultOwners,
+      });
+    }
 
-      // Check Dependabot
-      const { data: vulnerabilityAlerts } = await octokit.request('GET /repos/{owner}/{repo}', {
+    try {
+      const teams = await this.octokit.paginate('GET /repos/{owner}/{repo}/teams', {
         owner: this.org,
         repo: repo.name,
+        per_page: 100,
       });
+      // Written as CODEOWNERS writes them, so the lists compare directly
+      const withPermission = (permission) => teams
+        .filter(team => team.permission === permission)
+        .map(team => `${this.org}/${team.slug}`);
 
-      features.dependabot.enabled = vulnerabilityAlerts.has_vulnerability_alerts || false;
+      ownership.adminTeams = withPermission('admin');
+      ownership.maintainTeams = withPermission('maintain');
+    } catch (error) {
+      // Listing teams takes admin access to the repository
+      if (!(error.status >= 400 && error.status < 500)) throw error;
+      this.recordCollectionError(repo, 'teams', error);
+    }
 
-      // Check branch protection
-      try {
-        const { data: protection } = await octokit.repos.getBranchProtection({
-          owner: this.org,
-          repo: repo.name,
+    const isTeam = (owner) => owner.includes('/');
+    ownership.owner = ownership.defaultCodeowners.find(isTeam) ||
+      ownership.codeownerTeams[0] ||
+      ownership.adminTeams?.[0] ||
+      null;
+
+    return ownership;
+  }
+
+  /**
+   * Policy documents compliance checks look for. `securityPolicySource` says
+   * whether the repository has its own SECURITY.md or inherits the
+   * organization's; both are null when there is neither.
+   */
+  async getDocumentation(repo) {
+    const securityPolicy = await this.findFile(repo, SECURITY_POLICY_PATHS);
+    if (securityPolicy) {
+      return { securityPolicy: securityPolicy.path, securityPolicySource: 'repository' };
+    }
+    return this.inheritedDocumentation();
+  }
+
+  async inheritedDocumentation() {
+    // Looked up once per organization, however many repositories ask at the same time
+    this.organizationSecurityPolicy ||= this.getOrganizationSecurityPolicy();
+    const securityPolicy = await this.organizationSecurityPolicy;
+    return { securityPolicy, securityPolicySource: securityPolicy ? 'organization' : null };
+  }
+
+  // Only a public .github repository supplies defaults
+  async getOrganizationSecurityPolicy() {
+    const repo = await this.requestSetting('GET /repos/{owner}/{repo}', { name: '.github' });
+    if (!repo.ok || repo.data.private) return null;
+
+    const policy = await this.findFile(repo.data, SECURITY_POLICY_PATHS);
+    return policy ? `${this.org}/.github/${policy.path}` : null;
+  }
+
+  // The first of the paths that exists on the default branch, with its content
+  async findFile(repo, paths) {
+    for (const file of paths) {
+      const result = await this.requestSetting('GET /repos/{owner}/{repo}/contents/{path}', repo, {
+        path: file,
+        ref: repo.default_branch,
+      });
+      if (result.ok && !Array.isArray(result.data) && result.data.content) {
+        return { path: file, content: Buffer.from(result.data.content, 'base64').toString('utf8') };
+      }
+    }
+    return null;
+  }
+
+  async getSecurityFeatures(repo) {
+    const { ENABLED, DISABLED, UNKNOWN } = FEATURE_STATUS;
+    const features = {
+      codeScanning: { ...withStatus(UNKNOWN), setup: null, lastRun: null },
+      secretScanning: { ...withStatus(UNKNOWN), pushProtection: false, pushProtectionStatus: UNKNOWN },
+      dependabot: { ...withStatus(UNKNOWN), securityUpdates: false, securityUpdatesStatus: UNKNOWN },
+      branchProtection: {
+        ...withStatus(UNKNOWN),
+        rules: [],
+        classicStatus: UNKNOWN,
+        rulesets: [],
+        rulesetStatus: UNKNOWN,
+        rulesetsBypassable: null,
+      },
+    };
+
+    // A setting that answered with neither "on" nor "off" leaves its feature unknown
+    const noteUnreadable = (source, result) => {
+      if (!result.ok && result.status && statusFromError(result) === UNKNOWN) {
+        this.recordCollectionError(repo, source, result);
+      }
+    };
+
+    try {
+      // security_and_analysis is only returned to repository admins, and list results may omit it
+      let settings = repo.security_and_analysis;
+      if (!settings) {
+        const { data } = await this.octokit.repos.get({ owner: this.org, repo: repo.name });
+        settings = data.security_and_analysis;
+      }
+
+      // Check secret scanning, falling back to probing the alerts endpoint
+      if (settings?.secret_scanning) {
+        Object.assign(features.secretScanning, withStatus(settings.secret_scanning.status));
+      } else {
+        const probe = await this.requestSetting('GET /repos/{owner}/{repo}/secret-scanning/alerts', repo, { per_page: 1 });
+        noteUnreadable('secret-scanning', probe);
+        Object.assign(features.secretScanning, withStatus(probe.ok ? ENABLED : statusFromError(probe)));
+      }
+
+      if (settings?.secret_scanning_push_protection && this.supports('pushProtection')) {
+        const status = settings.secret_scanning_push_protection.status;
+        features.secretScanning.pushProtectionStatus = status;
+        features.secretScanning.pushProtection = status === ENABLED;
+      }
+
+      // Check Dependabot alerts: 204 when enabled, 404 when disabled
+      const vulnerabilityAlerts = await this.requestSetting('GET /repos/{owner}/{repo}/vulnerability-alerts', repo);
+      noteUnreadable('dependabot', vulnerabilityAlerts);
+      Object.assign(features.dependabot, withStatus(vulnerabilityAlerts.ok ? ENABLED : statusFromError(vulnerabilityAlerts)));
+
+      // Check Dependabot security updates
+      const securityFixes = this.supports('automatedSecurityFixes')
+        ? await this.requestSetting('GET /repos/{owner}/{repo}/automated-security-fixes', repo)
+        : { ok: false, status: null };
+      const securityUpdatesStatus = securityFixes.ok
+        ? (securityFixes.data.enabled ? ENABLED : DISABLED)
+        : settings?.dependabot_security_updates?.status || statusFromError(securityFixes);
+      if (securityUpdatesStatus === UNKNOWN) {
+        noteUnreadable('dependabot-security-updates', securityFixes);
+      }
+      features.dependabot.securityUpdatesStatus = securityUpdatesStatus;
+      features.dependabot.securityUpdates = securityUpdatesStatus === ENABLED;
+
+      // Check code scanning: default setup, or an advanced setup workflow uploading analyses
+      const defaultSetup = this.supports('codeScanningDefaultSetup')
+        ? await this.requestSetting('GET /repos/{owner}/{repo}/code-scanning/default-setup', repo)
+        : { ok: false, status: null };
+      const analyses = await this.requestSetting('GET /repos/{owner}/{repo}/code-scanning/analyses', repo, { per_page: 1 });
+      noteUnreadable('code-scanning', analyses);
+      const hasAnalyses = analyses.ok && analyses.data.length > 0;
+
+      if (hasAnalyses) {
+        features.codeScanning.lastRun = analyses.data[0].created_at;
+      }
+
+      if (defaultSetup.ok && defaultSetup.data.state === 'configured') {
+        Object.assign(features.codeScanning, withStatus(ENABLED), { setup: 'default' });
+      } else if (hasAnalyses) {
+        Object.assign(features.codeScanning, withStatus(ENABLED), { setup: 'advanced' });
+      } else if (defaultSetup.ok || analyses.ok || statusFromError(analyses) === DISABLED) {
+        Object.assign(features.codeScanning, withStatus(DISABLED));
+      }
+
+      if (features.codeScanning.status === ENABLED) {
+        await this.collectCodeScanningHealth(repo, features.codeScanning, defaultSetup);
+      }
+
+      // Check branch protection: classic protection (404 when the branch is unprotected)
+      // and the repository and organization rulesets that apply to the default branch
+      const branchProtection = features.branchProtection;
+      const protection = await this.requestSetting('GET /repos/{owner}/{repo}/branches/{branch}/protection', repo, {
+        branch: repo.default_branch,
+      });
+      noteUnreadable('branch-protection', protection);
+      branchProtection.classicStatus = protection.ok ? ENABLED : statusFromError(protection);
+      if (protection.ok) {
+        branchProtection.rules = protection.data;
+      }
+
+      // Servers without rulesets can't have any apply
+      const branchRules = this.supports('branchRules')
+        ? await this.requestSetting('GET /repos/{owner}/{repo}/rules/branches/{branch}', repo, {
           branch: repo.default_branch,
-        });
-        features.branchProtection.enabled = true;
-        features.branchProtection.rules = protection;
-      } catch (error) {
-        // Branch protection not enabled
+          per_page: 100,
+        })
+        : { ok: true, data: [] };
+      noteUnreadable('rulesets', branchRules);
+      if (branchRules.ok) {
+        branchProtection.rulesets = branchRules.data;
+        branchProtection.rulesetStatus = branchRules.data.length > 0 ? ENABLED : DISABLED;
+        branchProtection.rulesetsBypassable = branchRules.data.length > 0
+          ? await this.rulesetsBypassable(repo, branchRules.data)
+          : false;
       }
 
+      const statuses = [branchProtection.classicStatus, branchProtection.rulesetStatus];
+      Object.assign(branchProtection, withStatus(
+        statuses.includes(ENABLED) ? ENABLED : statuses.includes(UNKNOWN) ? UNKNOWN : DISABLED
+      ));
+
     } catch (error) {
-      console.warn(chalk.yellow(`Warning: Could not fetch all security features for ${repo.name}`));
+      this.recordCollectionError(repo, 'security-features', error);
+    }
+
+    return this.assessSecurityFeatures(features);
+  }
+
+  // Judgements derived from collected settings, kept apart so reused baseline repositories are re-judged
+  assessSecurityFeatures(features) {
+    features.branchProtection.baseline = this.evaluateBranchProtection(features.branchProtection);
+
+    if (features.codeScanning.status === FEATURE_STATUS.ENABLED && features.codeScanning.analyses) {
+      features.codeScanning.health = assessCodeScanningHealth(features.codeScanning, {
+        staleDays: this.options.staleAnalysisDays,
+      });
     }
 
     return features;
   }
 
+  // What code scanning health is assessed from: default branch analyses, the
+  // repository's languages and the latest completed CodeQL workflow runs
+  async collectCodeScanningHealth(repo, codeScanning, defaultSetup) {
+    const analyses = await this.requestSetting('GET /repos/{owner}/{repo}/code-scanning/analyses', repo, {
+      ref: `refs/heads/${repo.default_branch}`,
+      per_page: 100,
+    });
+    codeScanning.analyses = analyses.ok ? latestAnalyses(analyses.data) : [];
+    codeScanning.defaultSetupLanguages = defaultSetup.ok && defaultSetup.data.state === 'configured'
+      ? defaultSetup.data.languages || []
+      : [];
+
+    const languages = await this.requestSetting('GET /repos/{owner}/{repo}/languages', repo);
+    codeScanning.languages = languages.ok ? Object.keys(languages.data) : [];
+
+    codeScanning.latestRuns = [];
+    const workflows = await this.requestSetting('GET /repos/{owner}/{repo}/actions/workflows', repo, { per_page: 100 });
+    const codeqlWorkflows = workflows.ok ? workflows.data.workflows.filter(isCodeScanningWorkflow) : [];
+
+    for (const workflow of codeqlWorkflows) {
+      const runs = await this.requestSetting('GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs', repo, {
+        workflow_id: workflow.id,
+        branch: repo.default_branch,
+        status: 'completed',
+        per_page: 1,
+      });
+      const [run] = runs.ok ? runs.data.workflow_runs : [];
+
+      if (run) {
+        codeScanning.latestRuns.push({
+          workflow: workflow.name,
+          path: workflow.path,
+          conclusion: run.conclusion,
+          createdAt: run.created_at,
+          url: run.html_url,
+        });
+      }
+    }
+  }
+
+  // Admins are held to a ruleset unless it lists bypass actors, which only ruleset readers can see
+  async rulesetsBypassable(repo, rules) {
+    const ids = [...new Set(rules.map(rule => rule.ruleset_id))];
+    let unreadable = false;
+
+    for (const id of ids) {
+      const ruleset = await this.requestSetting('GET /repos/{owner}/{repo}/rulesets/{ruleset_id}', repo, {
+        ruleset_id: id,
+        includes_parents: true,
+      });
+
+      if (!ruleset.ok || !ruleset.data.bypass_actors) {
+        unreadable = true;
+      } else if (ruleset.data.bypass_actors.length > 0) {
+        return true;
+      }
+    }
+
+    return unreadable ? null : false;
+  }
+
+  // Per-control results against the branch protection baseline, from the collected settings
+  evaluateBranchProtection(branchProtection) {
+    const { ENABLED, DISABLED } = FEATURE_STATUS;
+    // Evaluation tells "none" (null) apart from "couldn't read" (undefined)
+    const settings = (status, data) => (status === ENABLED ? data : status === DISABLED ? null : undefined);
+
+    return evaluateBranchControls(branchBaseline, {
+      protection: settings(branchProtection.classicStatus ?? branchProtection.status, branchProtection.rules),
+      rules: settings(branchProtection.rulesetStatus, branchProtection.rulesets),
+      bypassable: branchProtection.rulesetsBypassable ?? null,
+    });
+  }
+
+  // Settings endpoints answer "off" and "not allowed" with 4xx responses, which
+  // are data here rather than failures; anything else still throws
+  async requestSetting(route, repo, params = {}) {
+    try {
+      const { status, data } = await this.octokit.request(route, { owner: this.org, repo: repo.name, ...params });
+      return { ok: true, status, data };
+    } catch (error) {
+      if (error.status >= 400 && error.status < 500) {
+        return { ok: false, status: error.status, message: error.message };
+      }
+      throw error;
+    }
+  }
+
   async getCodeScanningAlerts(repo) {
     const alerts = [];
     let page = 1;
@@ -303,24 +1431,15 @@ class GHASAudit {
 
     while (hasMore) {
       try {
-        const { data } = await octokit.request('GET /repos/{owner}/{repo}/code-scanning/alerts', {
+        const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/code-scanning/alerts', {
           owner: this.org,
           repo: repo.name,
-          state: 'open',
+          ...this.alertStateFilter('open'),
           per_page: 100,
           page,
         });
 
-        alerts.push(...data.map(alert => ({
-          number: alert.number,
-          state: alert.state,
-          severity: alert.rule.security_severity_level || 'unknown',
-          rule: alert.rule.id,
-          description: alert.rule.description,
-          path: alert.most_recent_instance.location?.path,
-          createdAt: alert.created_at,
-          tool: alert.tool.name,
-        })));
+        alerts.push(...data.map(toCodeAlert).filter(alert => this.isInWindow(alert)));
 
         hasMore = data.length === 100;
         page++;
@@ -335,6 +1454,32 @@ class GHASAudit {
     return alerts;
   }
 
+  // The alert itself only carries its most recent instance; other branches and refs have their own
+  async attachCodeInstances(repo, alerts) {
+    for (const alert of alerts) {
+      const instances = await this.octokit.paginate('GET /repos/{owner}/{repo}/code-scanning/alerts/{alert_number}/instances', {
+        owner: this.org,
+        repo: repo.name,
+        alert_number: alert.number,
+        per_page: 100,
+      });
+      alert.instances = instances.map(toCodeInstance);
+    }
+  }
+
+  // Where each secret was committed (or posted, for issues, pull requests and discussions)
+  async attachSecretLocations(repo, alerts) {
+    for (const alert of alerts) {
+      const locations = await this.octokit.paginate('GET /repos/{owner}/{repo}/secret-scanning/alerts/{alert_number}/locations', {
+        owner: this.org,
+        repo: repo.name,
+        alert_number: alert.number,
+        per_page: 100,
+      });
+      alert.locations = locations.map(toSecretLocation);
+    }
+  }
+
   async getSecretScanningAlerts(repo) {
     const alerts = [];
     let page = 1;
@@ -342,30 +1487,22 @@ class GHASAudit {
 
     while (hasMore) {
       try {
-        const { data } = await octokit.request('GET /repos/{owner}/{repo}/secret-scanning/alerts', {
+        const { data } = await this.octokit.request('GET /repos/{owner}/{repo}/secret-scanning/alerts', {
           owner: this.org,
           repo: repo.name,
-          state: 'open',
+          ...this.alertStateFilter('open'),
           per_page: 100,
           page,
         });
 
-        alerts.push(...data.map(alert => ({
-          number: alert.number,
-          state: alert.state,
-          secretType: alert.secret_type,
-          secretTypeDisplayName: alert.secret_type_display_name,
-          createdAt: alert.created_at,
-          resolvedAt: alert.resolved_at,
-          resolvedBy: alert.resolved_by?.login,
-          pushProtectionBypassed: alert.push_protection_bypassed,
-        })));
+        alerts.push(...data.map(toSecretAlert).filter(alert => this.isInWindow(alert)));
 
         hasMore = data.length === 100;
         page++;
       } catch (error) {
         hasMore = false;
-        if (error.status !== 404 && error.status !== 403) {
+        // Disabled secret scanning answers 404 or 403; a 403 for lack of permission is an error
+        if (statusFromError(error) !== FEATURE_STATUS.DISABLED) {
           throw error;
         }
       }
@@ -377,142 +1514,158 @@ class GHASAudit {
   async getDependabotAlerts(repo) {
     const alerts = [];
 
-    try {
-      const query = `
-        query($org: String!, $repo: String!, $cursor: String) {
-          repository(owner: $org, name: $repo) {
-            vulnerabilityAlerts(first: 100, after: $cursor, states: OPEN) {
-              nodes {
-                id
-                createdAt
-                dismissedAt
-                securityVulnerability {
-                  severity
-                  package {
-                    name
-                    ecosystem
+    // EPSS scores are recent; older servers reject the whole query if it asks for them
+    const epss = this.supports('advisoryEpss') ? 'epss { percentage percentile }' : '';
+    const query = `
+      query($org: String!, $repo: String!, $cursor: String, $states: [RepositoryVulnerabilityAlertState!]) {
+        repository(owner: $org, name: $repo) {
+          vulnerabilityAlerts(first: 100, after: $cursor, states: $states) {
+            nodes {
+              id
+              state
+              createdAt
+              fixedAt
+              dismissedAt
+              dismissReason
+              autoDismissedAt
+              vulnerableManifestPath
+              dependencyScope
+              dependabotUpdate {
+                pullRequest {
+                  number
+                  url
+                  state
+                }
+                error {
+                  title
+                }
+              }
+              securityVulnerability {
+                severity
+                vulnerableVersionRange
+                firstPatchedVersion {
+                  identifier
+                }
+                package {
+                  name
+                  ecosystem
+                }
+                advisory {
+                  ghsaId
+                  identifiers {
+                    type
+                    value
                   }
-                  advisory {
-                    summary
-                    description
-                    cvss {
-                      score
+                  cwes(first: 10) {
+                    nodes {
+                      cweId
                     }
                   }
+                  summary
+                  description
+                  cvss {
+                    score
+                  }
+                  ${epss}
                 }
               }
-              pageInfo {
-                hasNextPage
-                endCursor
-              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
             }
           }
         }
-      `;
+      }
+    `;
 
-      let hasNextPage = true;
-      let cursor = null;
+    let hasNextPage = true;
+    let cursor = null;
 
-      while (hasNextPage) {
-        const result = await graphqlWithAuth(query, {
-          org: this.org,
-          repo: repo.name,
-          cursor,
-        });
+    while (hasNextPage) {
+      const result = await this.graphqlWithAuth(query, {
+        org: this.org,
+        repo: repo.name,
+        cursor,
+        states: this.options.since ? ['OPEN', 'FIXED', 'DISMISSED', 'AUTO_DISMISSED'] : ['OPEN'],
+      });
 
-        if (result.repository?.vulnerabilityAlerts?.nodes) {
-          alerts.push(...result.repository.vulnerabilityAlerts.nodes.map(alert => ({
-            id: alert.id,
-            createdAt: alert.createdAt,
-            severity: alert.securityVulnerability.severity,
-            package: alert.securityVulnerability.package.name,
-            ecosystem: alert.securityVulnerability.package.ecosystem,
-            summary: alert.securityVulnerability.advisory.summary,
-            cvssScore: alert.securityVulnerability.advisory.cvss?.score,
-          })));
-
-          hasNextPage = result.repository.vulnerabilityAlerts.pageInfo.hasNextPage;
-          cursor = result.repository.vulnerabilityAlerts.pageInfo.endCursor;
-        } else {
-          hasNextPage = false;
-        }
+      if (result.repository?.vulnerabilityAlerts?.nodes) {
+        alerts.push(...result.repository.vulnerabilityAlerts.nodes
+          .map(toDependabotAlert)
+          .filter(alert => this.isInWindow(alert)));
+
+        hasNextPage = result.repository.vulnerabilityAlerts.pageInfo.hasNextPage;
+        cursor = result.repository.vulnerabilityAlerts.pageInfo.endCursor;
+      } else {
+        hasNextPage = false;
       }
-    } catch (error) {
-      // GraphQL API might not be available
-      console.warn(chalk.yellow(`Warning: Could not fetch Dependabot alerts via GraphQL for ${repo.name}`));
     }
 
     return alerts;
   }
 
-  calculateRepoMetrics(repoAudit) {
-    const allAlerts = [
-      ...repoAudit.alerts.code,
-      ...repoAudit.alerts.secret,
-      ...repoAudit.alerts.dependency,
-    ];
+  // Without --since only open alerts are requested; with it, every state is
+  alertStateFilter(openState) {
+    return this.options.since ? {} : { state: openState };
+  }
 
-    repoAudit.metrics.totalAlerts = allAlerts.length;
-    repoAudit.metrics.openAlerts = allAlerts.filter(a => a.state === 'open' || !a.dismissedAt).length;
-    repoAudit.metrics.closedAlerts = repoAudit.metrics.totalAlerts - repoAudit.metrics.openAlerts;
-
-    // Calculate mean time to resolve (simplified)
-    const resolvedAlerts = allAlerts.filter(a => a.resolvedAt || a.dismissedAt);
-    if (resolvedAlerts.length > 0) {
-      const resolutionTimes = resolvedAlerts.map(a => {
-        const created = new Date(a.createdAt);
-        const resolved = new Date(a.resolvedAt || a.dismissedAt);
-        return (resolved - created) / (1000 * 60 * 60 * 24); // Days
-      });
+  // Open alerts always count; closed ones only if they closed inside the --since window
+  isInWindow(alert) {
+    if (alert.state === 'open' || !this.options.since) return true;
 
-      repoAudit.metrics.meanTimeToResolve =
-        resolutionTimes.reduce((a, b) => a + b, 0) / resolutionTimes.length;
-    }
+    const closed = closedAt(alert);
+    return Boolean(closed) && new Date(closed) >= new Date(this.options.since);
+  }
+
+  // Metrics count findings, so alerts merged as duplicates aren't counted twice
+  calculateRepoMetrics(repoAudit) {
+    Object.assign(repoAudit.metrics, findingMetrics(repoAudit.findings));
   }
 
   updateSummary(repoAudit) {
+    // Summary counts describe open findings; closed ones only feed the resolution metrics
+    const open = repoAudit.findings.filter(f => f.state === 'open');
+    const summary = this.results.summary;
+
+    // Repos where missing permissions hid at least one feature setting
+    const features = Object.values(repoAudit.securityFeatures);
+    if (features.some(feature => feature.status === FEATURE_STATUS.UNKNOWN)) {
+      summary.featuresUnknownRepositories++;
+    }
+
+    if (repoAudit.securityFeatures.branchProtection.baseline?.failed.length > 0) {
+      summary.branchBaselineFailingRepositories++;
+    }
+
+    if (!repoAudit.ownership?.owner) {
+      summary.unownedRepositories++;
+    }
+
+    // Code scanning that is on but not doing its job
+    const healthIssues = new Set((repoAudit.securityFeatures.codeScanning.health?.issues || []).map(issue => issue.type));
+    if (healthIssues.has('stale-analysis')) summary.staleAnalysisRepositories++;
+    if (healthIssues.has('analysis-errors') || healthIssues.has('analysis-warnings')) summary.analysisProblemRepositories++;
+    if (healthIssues.has('missing-language')) summary.missingLanguageRepositories++;
+    if (healthIssues.has('failed-run')) summary.failedRunRepositories++;
+
     // Update alert counts
-    this.results.summary.totalAlerts += repoAudit.metrics.totalAlerts;
-
-    // Count by severity
-    repoAudit.alerts.code.forEach(alert => {
-      switch (alert.severity) {
-        case 'critical':
-          this.results.summary.criticalAlerts++;
-          break;
-        case 'high':
-          this.results.summary.highAlerts++;
-          break;
-        case 'medium':
-          this.results.summary.mediumAlerts++;
-          break;
-        case 'low':
-          this.results.summary.lowAlerts++;
-          break;
-      }
-    });
+    summary.totalAlerts += repoAudit.metrics.openAlerts;
+    summary.closedAlerts += repoAudit.metrics.closedAlerts;
 
-    repoAudit.alerts.dependency.forEach(alert => {
-      switch (alert.severity) {
-        case 'CRITICAL':
-          this.results.summary.criticalAlerts++;
-          break;
-        case 'HIGH':
-          this.results.summary.highAlerts++;
-          break;
-        case 'MODERATE':
-          this.results.summary.mediumAlerts++;
-          break;
-        case 'LOW':
-          this.results.summary.lowAlerts++;
-          break;
+    // Count by severity, secrets included (their severity comes from the secret severity policy)
+    open.forEach(finding => {
+      if (finding.severity !== 'unknown') {
+        summary[`${finding.severity}Alerts`]++;
       }
     });
 
     // Count by type
-    this.results.summary.codeAlerts += repoAudit.alerts.code.length;
-    this.results.summary.secretAlerts += repoAudit.alerts.secret.length;
-    this.results.summary.dependencyAlerts += repoAudit.alerts.dependency.length;
+    summary.codeAlerts += open.filter(f => f.category === 'code').length;
+    summary.secretAlerts += open.filter(f => f.category === 'secret').length;
+    summary.dependencyAlerts += open.filter(f => f.category === 'dependency').length;
+    summary.patchAvailableAlerts += repoAudit.metrics.patchAvailableAlerts;
+    summary.activeSecretAlerts += repoAudit.metrics.activeSecretAlerts;
   }
 
   calculateCompliance() {
@@ -558,7 +1711,7 @@ class GHASAudit {
     this.results.compliance.frameworks = {
       'OWASP': {
         score: this.calculateOWASPCompliance(),
-        details: 'Based on OWASP Top 10 coverage',
+        details: 'Based on open findings by OWASP Top 10 2021 category (CWE)',
       },
       'NIST': {
         score: this.calculateNISTCompliance(),
@@ -571,43 +1724,28 @@ class GHASAudit {
     };
   }
 
+  // Open code scanning and Dependabot findings placed in OWASP Top 10 (2021) categories by
+  // their CWEs, as check-compliance's owasp checks do, with Dependabot findings no CWE places
+  // in A06; each category scores on the same scale.
+  // Findings can only be absent where something looks for them, so code scanning coverage
+  // still carries 30 points.
   calculateOWASPCompliance() {
-    // Simplified OWASP compliance calculation
-    let score = 0;
     const repos = this.results.repositories;
+    const { counts } = attributeFindings(repos, '2021');
 
-    // Check for injection vulnerabilities
-    const injectionAlerts = repos.reduce((count, repo) =>
-      count + repo.alerts.code.filter(a => a.rule.includes('injection')).length, 0
-    );
-    if (injectionAlerts === 0) score += 10;
-
-    // Check for broken authentication
-    const authAlerts = repos.reduce((count, repo) =>
-      count + repo.alerts.code.filter(a => a.rule.includes('auth')).length, 0
-    );
-    if (authAlerts === 0) score += 10;
-
-    // Check for sensitive data exposure (secrets)
-    if (this.results.summary.secretAlerts === 0) score += 20;
-
-    // Check for security misconfiguration
-    const configAlerts = repos.reduce((count, repo) =>
-      count + repo.alerts.code.filter(a => a.rule.includes('config')).length, 0
-    );
-    if (configAlerts === 0) score += 10;
-
-    // Check for vulnerable components
-    if (this.results.summary.dependencyAlerts < 5) score += 20;
-    else if (this.results.summary.dependencyAlerts < 20) score += 10;
+    const categoryScores = Object.values(counts).map(count => {
+      if (count === 0) return 1;
+      if (count < 5) return 0.7;
+      if (count < 10) return 0.4;
+      return 0.2;
+    });
+    const categoryScore = categoryScores.reduce((a, b) => a + b, 0) / categoryScores.length;
 
-    // Base score for having scanning enabled
     const scanningEnabled = repos.filter(r =>
       r.securityFeatures.codeScanning.enabled
     ).length;
-    score += (scanningEnabled / repos.length) * 30;
 
-    return Math.min(score, 100);
+    return categoryScore * 70 + (scanningEnabled / repos.length) * 30;
   }
 
   calculateNISTCompliance() {
@@ -687,7 +1825,10 @@ class GHASAudit {
       JSON.stringify(this.results, null, 2)
     );
 
-    console.log(chalk.green(`\n✅ Audit results saved to: ${outputPath}`));
+    if (!log.json) {
+      console.log(chalk.green(`\n✅ Audit results saved to: ${outputPath}`));
+    }
+    this.log.info('results.saved', { file: outputPath });
   }
 
   printSummary() {
@@ -696,7 +1837,31 @@ class GHASAudit {
     const summary = this.results.summary;
     console.log(`Total Repositories: ${summary.totalRepositories}`);
     console.log(`Scanned Repositories: ${summary.scannedRepositories}`);
+    if (baseline) {
+      console.log(`Refreshed / Reused from Baseline: ${summary.refreshedRepositories} / ${summary.reusedRepositories}`);
+    }
+    if (summary.featuresUnknownRepositories > 0) {
+      console.log(chalk.yellow(`Repositories with unknown feature settings (insufficient permissions): ${summary.featuresUnknownRepositories}`));
+    }
+    if (summary.failedRepositories > 0) {
+      console.log(chalk.red(`Failed Repositories (not in these results, retry with --resume): ${summary.failedRepositories}`));
+    }
+    if (this.results.collectionErrors.length > 0) {
+      console.log(chalk.yellow(`Collection errors (data missing from these results): ${this.results.collectionErrors.length}`));
+    }
+    if (summary.branchBaselineFailingRepositories > 0) {
+      console.log(chalk.yellow(`Default branches below the protection baseline: ${summary.branchBaselineFailingRepositories}`));
+    }
+    if (summary.unownedRepositories > 0) {
+      console.log(chalk.yellow(`Repositories without an owning team: ${summary.unownedRepositories}`));
+    }
     console.log(`Total Alerts: ${summary.totalAlerts}`);
+    if (summary.activeSecretAlerts > 0) {
+      console.log(chalk.red.bold(`Active Credentials Exposed: ${summary.activeSecretAlerts}`));
+    }
+    if (this.results.metadata.since) {
+      console.log(`Closed Since ${this.results.metadata.since.slice(0, 10)}: ${summary.closedAlerts}`);
+    }
 
     console.log(chalk.red(`\n🚨 Critical: ${summary.criticalAlerts}`));
     console.log(chalk.yellow(`⚠️  High: ${summary.highAlerts}`));
@@ -707,6 +1872,20 @@ class GHASAudit {
     console.log(`  Code Scanning: ${summary.codeAlerts}`);
     console.log(`  Secret Scanning: ${summary.secretAlerts}`);
     console.log(`  Dependencies: ${summary.dependencyAlerts}`);
+    if (summary.patchAvailableAlerts > 0) {
+      console.log(chalk.yellow(`    Patch available but not applied: ${summary.patchAvailableAlerts}`));
+    }
+
+    const healthCounts = [
+      ['Stale analyses', summary.staleAnalysisRepositories],
+      ['Analysis errors or warnings', summary.analysisProblemRepositories],
+      ['Languages without CodeQL', summary.missingLanguageRepositories],
+      ['Failed latest runs', summary.failedRunRepositories],
+    ].filter(([, count]) => count > 0);
+    if (healthCounts.length > 0) {
+      console.log(chalk.yellow('\nCode Scanning Health (repositories):'));
+      healthCounts.forEach(([label, count]) => console.log(chalk.yellow(`  ${label}: ${count}`)));
+    }
 
     console.log(chalk.green('\n✅ Compliance Scores:'));
     console.log(`  Overall: ${this.results.compliance.overallScore.toFixed(1)}%`);
@@ -716,8 +1895,181 @@ class GHASAudit {
   }
 }
 
+// Audits several organizations, one after another, and rolls their results up
+class EnterpriseAudit extends GHASAudit {
+  constructor(organizations, options) {
+    super(options.enterprise || organizations.join(', '), options, null);
+    this.log = log.child({ enterprise: options.enterprise || null });
+    this.organizations = organizations;
+    this.orgAudits = [];
+
+    // Repositories live under each organization rather than at the top level
+    const { repositories, ...results } = this.results;
+    this.results = {
+      ...results,
+      metadata: {
+        ...results.metadata,
+        enterprise: options.enterprise || null,
+        organizations: [],
+      },
+      summary: {
+        totalOrganizations: 0,
+        auditedOrganizations: 0,
+        ...results.summary,
+      },
+      organizations: [],
+    };
+  }
+
+  async run() {
+    try {
+      const organizations = this.options.enterprise
+        ? await this.getEnterpriseOrganizations()
+        : this.organizations;
+
+      this.results.metadata.organizations = organizations;
+      this.results.summary.totalOrganizations = organizations.length;
+
+      // One organization at a time; repositories within each still run in parallel
+      for (const org of organizations) {
+        try {
+          const orgAudit = new GHASAudit(org, this.options, await createClient(org));
+          const { metadata, summary, compliance, collectionErrors, repositories } = await orgAudit.collect();
+
+          this.results.organizations.push({ organization: org, metadata, summary, compliance, collectionErrors, repositories });
+          this.orgAudits.push(orgAudit);
+        } catch (error) {
+          this.log.error('organization.failed', {
+            organization: org,
+            status: error.status ?? null,
+            message: `Skipping ${org}: ${error.message}`,
+          });
+          this.results.organizations.push({ organization: org, error: error.message });
+          this.results.collectionErrors.push({ organization: org, ...collectionError(null, 'organization', error) });
+        }
+      }
+
+      if (this.orgAudits.length === 0) {
+        throw new Error('No organization could be audited');
+      }
+
+      this.results.metadata.server = this.orgAudits[0].results.metadata.server;
+      this.rollUp();
+
+      await this.saveResults();
+      await Promise.all(this.orgAudits.map(orgAudit => orgAudit.finishCheckpoint()));
+
+      this.reportCompletion();
+
+    } catch (error) {
+      this.log.error('audit.failed', { message: error.message });
+      process.exit(1);
+    }
+  }
+
+  async getEnterpriseOrganizations() {
+    const spinner = ora({ text: `Listing organizations in enterprise ${this.options.enterprise}...`, isSilent: log.json }).start();
+    const client = await createClient(this.options.enterprise);
+    const query = `
+      query($slug: String!, $cursor: String) {
+        enterprise(slug: $slug) {
+          organizations(first: 100, after: $cursor) {
+            nodes {
+              login
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `;
+
+    const logins = [];
+    let hasNextPage = true;
+    let cursor = null;
+
+    while (hasNextPage) {
+      const result = await client.graphql(query, { slug: this.options.enterprise, cursor });
+
+      if (!result.enterprise) {
+        spinner.fail(`Enterprise ${this.options.enterprise} not found`);
+        throw new Error(`Enterprise ${this.options.enterprise} is not accessible (the token needs the read:enterprise scope)`);
+      }
+
+      const { nodes, pageInfo } = result.enterprise.organizations;
+      logins.push(...nodes.map(node => node.login));
+      hasNextPage = pageInfo.hasNextPage;
+      cursor = pageInfo.endCursor;
+    }
+
+    spinner.succeed(`Found ${logins.length} organizations in enterprise ${this.options.enterprise}`);
+    return logins;
+  }
+
+  rollUp() {
+    const audited = this.results.organizations.filter(org => !org.error);
+    const summary = this.results.summary;
+
+    summary.auditedOrganizations = audited.length;
+    audited.forEach(org => {
+      Object.entries(org.summary).forEach(([key, value]) => {
+        summary[key] = (summary[key] || 0) + value;
+      });
+      this.results.collectionErrors.push(...org.collectionErrors.map(entry => ({ organization: org.organization, ...entry })));
+    });
+
+    // Weight each organization's scores by the number of repositories behind them
+    const totalRepos = audited.reduce((sum, org) => sum + org.summary.scannedRepositories, 0);
+    const weightedAverage = (score) => (totalRepos > 0
+      ? audited.reduce((sum, org) => sum + score(org) * org.summary.scannedRepositories, 0) / totalRepos
+      : 0);
+
+    this.results.compliance.overallScore = weightedAverage(org => org.compliance.overallScore);
+
+    const frameworks = new Map();
+    audited.forEach(org => {
+      Object.entries(org.compliance.frameworks).forEach(([name, data]) => {
+        if (!frameworks.has(name)) frameworks.set(name, data.details);
+      });
+    });
+
+    frameworks.forEach((details, name) => {
+      this.results.compliance.frameworks[name] = {
+        score: weightedAverage(org => org.compliance.frameworks[name]?.score || 0),
+        details: `${details} (weighted across organizations)`,
+      };
+    });
+  }
+
+  printSummary() {
+    super.printSummary();
+
+    console.log(chalk.blue.bold('\n🏢 Organizations\n'));
+    this.results.organizations.forEach(org => {
+      if (org.error) {
+        console.log(chalk.red(`  ${org.organization}: failed - ${org.error}`));
+        return;
+      }
+
+      console.log(`  ${org.organization}: ${org.summary.scannedRepositories} repositories, ` +
+        `${org.summary.totalAlerts} alerts, ${org.compliance.overallScore.toFixed(1)}% compliance`);
+    });
+  }
+}
+
 // Run the audit
-const audit = new GHASAudit(options.org, options);
+let audit;
+try {
+  audit = multiOrg
+    ? new EnterpriseAudit(organizations, options)
+    : new GHASAudit(organizations[0], options, await createClient(organizations[0]));
+} catch (error) {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+}
+
 audit.run().catch(error => {
   console.error(chalk.red('Fatal error:'), error);
   process.exit(1);
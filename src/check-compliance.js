@@ -3,221 +3,73 @@
 import { Command } from 'commander';
 import fs from 'fs/promises';
 import chalk from 'chalk';
+import { readAuditHistory, readAuditResults } from './lib/results.js';
+import { COMPLIANCE_REPORT_SCHEMA_VERSION } from './lib/schema.js';
+import { TOOL_VERSION } from './lib/version.js';
+import { loadFrameworks } from './lib/frameworks.js';
+import { OWASP_TOP_10, attributable, attributeFindings, editionOf, findingCategory } from './lib/owasp.js';
+import { writeEvidencePack } from './lib/evidence.js';
+import { isOpenAlert } from './lib/findings.js';
 
 const program = new Command();
 
+// Repeatable options collect every value given
+const collect = (value, previous) => previous.concat(value);
+
 program
   .name('check-compliance')
   .description('Check compliance against security frameworks')
-  .version('1.0.0')
-  .requiredOption('--audit-file <file>', 'Audit results JSON file')
+  .version(TOOL_VERSION)
+  .option('--audit-file <file>', 'Audit results JSON file')
   .option('--frameworks <frameworks>', 'Frameworks to check (comma-separated)', 'OWASP,NIST,ISO27001')
+  .option('--framework-dir <dir>', 'Load custom framework definitions (YAML or JSON) from a directory; repeatable', collect, [])
+  .option('--framework-file <file>', 'Load a custom framework definition (YAML or JSON); repeatable', collect, [])
+  .option('--list-frameworks', 'List the available frameworks and exit')
+  .option('--history-dir <dir>', 'Directory of earlier audit results, the evidence for regular-audit checks')
+  .option('-r, --repo <repos>', 'Only check these repositories (comma-separated; org/name in multi-organization results)')
   .option('--output <file>', 'Output compliance report file')
+  .option('--evidence-dir <dir>', 'Also write a zipped evidence pack per run: the data behind each control, a narrative and SHA-256 manifest')
   .parse();
 
 const options = program.opts();
 
-// Compliance framework mappings
-const COMPLIANCE_FRAMEWORKS = {
-  OWASP: {
-    name: 'OWASP Top 10 2021',
-    controls: {
-      'A01:2021 – Broken Access Control': {
-        weight: 10,
-        checks: [
-          { type: 'code', pattern: /auth|authorization|access/i, weight: 5 },
-          { type: 'feature', name: 'branchProtection', weight: 3 },
-          { type: 'alert', severity: ['critical', 'high'], category: 'access', weight: 2 }
-        ]
-      },
-      'A02:2021 – Cryptographic Failures': {
-        weight: 10,
-        checks: [
-          { type: 'secret', pattern: /key|token|password/i, weight: 5 },
-          { type: 'code', pattern: /crypto|encrypt|hash/i, weight: 3 },
-          { type: 'dependency', packages: ['crypto', 'bcrypt'], weight: 2 }
-        ]
-      },
-      'A03:2021 – Injection': {
-        weight: 10,
-        checks: [
-          { type: 'code', pattern: /injection|sql|xss|cmd/i, weight: 7 },
-          { type: 'alert', severity: ['critical', 'high'], category: 'injection', weight: 3 }
-        ]
-      },
-      'A04:2021 – Insecure Design': {
-        weight: 8,
-        checks: [
-          { type: 'feature', name: 'codeScanning', weight: 4 },
-          { type: 'feature', name: 'secretScanning', weight: 4 }
-        ]
-      },
-      'A05:2021 – Security Misconfiguration': {
-        weight: 8,
-        checks: [
-          { type: 'feature', name: 'branchProtection', weight: 4 },
-          { type: 'code', pattern: /config|setup|init/i, weight: 2 },
-          { type: 'alert', severity: ['medium', 'high'], category: 'config', weight: 2 }
-        ]
-      },
-      'A06:2021 – Vulnerable Components': {
-        weight: 9,
-        checks: [
-          { type: 'dependency', outdated: true, weight: 7 },
-          { type: 'feature', name: 'dependabot', weight: 2 }
-        ]
-      },
-      'A07:2021 – Authentication Failures': {
-        weight: 7,
-        checks: [
-          { type: 'code', pattern: /login|auth|session/i, weight: 4 },
-          { type: 'secret', pattern: /session|jwt|auth/i, weight: 3 }
-        ]
-      },
-      'A08:2021 – Software Integrity Failures': {
-        weight: 6,
-        checks: [
-          { type: 'feature', name: 'codeScanning', weight: 3 },
-          { type: 'dependency', verified: true, weight: 3 }
-        ]
-      },
-      'A09:2021 – Logging Failures': {
-        weight: 5,
-        checks: [
-          { type: 'code', pattern: /log|audit|monitor/i, weight: 3 },
-          { type: 'secret', pattern: /log|trace/i, weight: 2 }
-        ]
-      },
-      'A10:2021 – Server-Side Request Forgery': {
-        weight: 5,
-        checks: [
-          { type: 'code', pattern: /ssrf|request|fetch/i, weight: 3 },
-          { type: 'alert', severity: ['high'], category: 'ssrf', weight: 2 }
-        ]
-      }
-    }
-  },
-  
-  NIST: {
-    name: 'NIST Cybersecurity Framework',
-    controls: {
-      'Identify (ID)': {
-        weight: 20,
-        checks: [
-          { type: 'repository', count: true, weight: 10 },
-          { type: 'feature', name: 'scanning', weight: 10 }
-        ]
-      },
-      'Protect (PR)': {
-        weight: 25,
-        checks: [
-          { type: 'feature', name: 'branchProtection', weight: 8 },
-          { type: 'feature', name: 'secretScanning', weight: 8 },
-          { type: 'dependency', current: true, weight: 9 }
-        ]
-      },
-      'Detect (DE)': {
-        weight: 25,
-        checks: [
-          { type: 'feature', name: 'codeScanning', weight: 10 },
-          { type: 'feature', name: 'secretScanning', weight: 8 },
-          { type: 'feature', name: 'dependabot', weight: 7 }
-        ]
-      },
-      'Respond (RS)': {
-        weight: 15,
-        checks: [
-          { type: 'metric', name: 'meanTimeToResolve', threshold: 30, weight: 8 },
-          { type: 'alert', state: 'open', weight: 7 }
-        ]
-      },
-      'Recover (RC)': {
-        weight: 15,
-        checks: [
-          { type: 'process', name: 'audit', weight: 8 },
-          { type: 'documentation', exists: true, weight: 7 }
-        ]
-      }
-    }
-  },
-  
-  ISO27001: {
-    name: 'ISO 27001:2022',
-    controls: {
-      'A.5 Information Security Policies': {
-        weight: 5,
-        checks: [
-          { type: 'documentation', policy: true, weight: 5 }
-        ]
-      },
-      'A.8 Asset Management': {
-        weight: 10,
-        checks: [
-          { type: 'repository', inventory: true, weight: 10 }
-        ]
-      },
-      'A.12 Operations Security': {
-        weight: 15,
-        checks: [
-          { type: 'feature', name: 'codeScanning', weight: 5 },
-          { type: 'feature', name: 'secretScanning', weight: 5 },
-          { type: 'process', name: 'monitoring', weight: 5 }
-        ]
-      },
-      'A.13 Communications Security': {
-        weight: 10,
-        checks: [
-          { type: 'secret', encrypted: true, weight: 5 },
-          { type: 'code', pattern: /tls|ssl|https/i, weight: 5 }
-        ]
-      },
-      'A.14 System Development': {
-        weight: 20,
-        checks: [
-          { type: 'feature', name: 'codeScanning', weight: 7 },
-          { type: 'feature', name: 'branchProtection', weight: 6 },
-          { type: 'process', name: 'secureSDLC', weight: 7 }
-        ]
-      },
-      'A.16 Information Security Incident Management': {
-        weight: 15,
-        checks: [
-          { type: 'alert', response: true, weight: 8 },
-          { type: 'metric', name: 'responseTime', weight: 7 }
-        ]
-      },
-      'A.17 Business Continuity': {
-        weight: 10,
-        checks: [
-          { type: 'backup', exists: true, weight: 5 },
-          { type: 'process', name: 'recovery', weight: 5 }
-        ]
-      },
-      'A.18 Compliance': {
-        weight: 15,
-        checks: [
-          { type: 'audit', regular: true, weight: 8 },
-          { type: 'documentation', compliance: true, weight: 7 }
-        ]
-      }
-    }
-  }
-};
+if (!options.auditFile && !options.listFrameworks) {
+  program.error("error: required option '--audit-file <file>' not specified");
+}
+
+// Controls (and repositories, per control) scoring below this are gaps
+const PASSING_SCORE = 70;
 
 async function checkCompliance() {
   try {
-    // Read audit results
-    const auditData = JSON.parse(await fs.readFile(options.auditFile, 'utf8'));
+    const frameworks = await loadFrameworks({ dirs: options.frameworkDir, files: options.frameworkFile });
+    
+    if (options.listFrameworks) {
+      listFrameworks(frameworks);
+      return;
+    }
     
     // Parse frameworks to check
-    const frameworksToCheck = options.frameworks.split(',').map(f => f.trim());
+    const frameworksToCheck = options.frameworks.split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = frameworksToCheck.filter(code => !frameworks.has(code));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown framework ${unknown.join(', ')} (available: ${[...frameworks.keys()].join(', ')})`);
+    }
+    
+    // Read audit results
+    const auditResults = await readAuditResults(options.auditFile);
+    const context = { auditRuns: await collectAuditRuns(auditResults) };
+    const auditData = options.repo ? selectRepositories(auditResults, options.repo) : auditResults;
     
     const complianceReport = {
       metadata: {
         auditFile: options.auditFile,
         frameworks: frameworksToCheck,
+        repositories: options.repo ? auditData.repositories.map(repositoryName) : null,
+        frameworkSources: Object.fromEntries(frameworksToCheck.map(code => [code, frameworks.get(code).source])),
         checkDate: new Date().toISOString(),
-        version: '1.0.0'
+        version: TOOL_VERSION,
+        schemaVersion: COMPLIANCE_REPORT_SCHEMA_VERSION
       },
       results: {},
       summary: {
@@ -229,11 +81,9 @@ async function checkCompliance() {
     
     // Check each framework
     for (const frameworkCode of frameworksToCheck) {
-      if (COMPLIANCE_FRAMEWORKS[frameworkCode]) {
-        const result = await checkFramework(frameworkCode, auditData);
-        complianceReport.results[frameworkCode] = result;
-        complianceReport.summary.frameworkScores[frameworkCode] = result.overallScore;
-      }
+      const result = await checkFramework(frameworks.get(frameworkCode), auditData, context);
+      complianceReport.results[frameworkCode] = result;
+      complianceReport.summary.frameworkScores[frameworkCode] = result.overallScore;
     }
     
     // Calculate overall score
@@ -249,6 +99,19 @@ async function checkCompliance() {
       console.log(chalk.green(`✅ Compliance report saved to: ${options.output}`));
     }
     
+    if (options.evidenceDir) {
+      const pack = await writeEvidencePack(options.evidenceDir, {
+        report: complianceReport,
+        auditFile: options.auditFile,
+        audit: auditResults.metadata,
+        controls: evidenceControls(frameworksToCheck.map(code => frameworks.get(code)), complianceReport, auditData, context),
+        passingScore: PASSING_SCORE,
+        generator: `check-compliance ${program.version()}`
+      });
+      console.log(chalk.green(`✅ Evidence pack saved to: ${pack.zip}`));
+      console.log(chalk.gray(`   ${pack.artifacts} artifacts; SHA-256 of the zip: ${pack.sha256}`));
+    }
+    
     // Print summary
     printComplianceSummary(complianceReport);
     
@@ -258,8 +121,53 @@ async function checkCompliance() {
   }
 }
 
-async function checkFramework(frameworkCode, auditData) {
-  const framework = COMPLIANCE_FRAMEWORKS[frameworkCode];
+function listFrameworks(frameworks) {
+  console.log(chalk.blue.bold('\n📋 Available Frameworks\n'));
+  for (const framework of frameworks.values()) {
+    const controls = Object.keys(framework.controls).length;
+    console.log(`  ${chalk.bold(framework.code)}: ${framework.name} (${controls} controls)`);
+    console.log(chalk.gray(`    ${framework.source}`));
+  }
+}
+
+// Multi-organization results name repositories by organization too
+const repositoryName = (repo) => (repo.organization ? `${repo.organization}/${repo.name}` : repo.name);
+
+// The audit data as if only these repositories had been audited
+const withRepositories = (auditData, repositories) => ({
+  ...auditData,
+  repositories,
+  summary: { ...auditData.summary, totalRepositories: repositories.length },
+});
+
+function selectRepositories(auditData, list) {
+  const names = list.split(',').map(name => name.trim()).filter(Boolean);
+  const selected = auditData.repositories.filter(repo => names.includes(repositoryName(repo)));
+  
+  const missing = names.filter(name => !selected.some(repo => repositoryName(repo) === name));
+  if (missing.length > 0) {
+    throw new Error(`Repository ${missing.join(', ')} not found in ${options.auditFile}`);
+  }
+  
+  return withRepositories(auditData, selected);
+}
+
+// Every audit of these organizations on record: this one, the baseline it was
+// built on, and whatever --history-dir holds
+async function collectAuditRuns(auditData) {
+  const { organization, auditDate, baseline } = auditData.metadata;
+  const dates = [auditDate, baseline?.auditDate];
+  
+  if (options.historyDir) {
+    dates.push(...await readAuditHistory(options.historyDir, organization, (file, error) => {
+      console.warn(chalk.yellow(`Warning: skipping ${file} in audit history: ${error.message}`));
+    }));
+  }
+  
+  return [...new Set(dates.filter(Boolean).map(date => new Date(date).getTime()))].sort((a, b) => a - b);
+}
+
+async function checkFramework(framework, auditData, context) {
   const result = {
     name: framework.name,
     overallScore: 0,
@@ -272,13 +180,13 @@ async function checkFramework(frameworkCode, auditData) {
   let weightedScore = 0;
   
   for (const [controlName, control] of Object.entries(framework.controls)) {
-    const controlScore = checkControl(control, auditData);
+    const controlScore = checkControl(control, auditData, context);
     result.controlScores[controlName] = controlScore;
     
     totalWeight += control.weight;
     weightedScore += (controlScore.score * control.weight);
     
-    if (controlScore.score < 70) {
+    if (controlScore.score < PASSING_SCORE) {
       result.gaps.push({
         control: controlName,
         score: controlScore.score,
@@ -289,10 +197,98 @@ async function checkFramework(frameworkCode, auditData) {
   
   result.overallScore = totalWeight > 0 ? (weightedScore / totalWeight) : 0;
   
+  // Where the open alerts behind the framework's OWASP checks fall, and which fall nowhere
+  const editions = [...new Set(Object.values(framework.controls)
+    .flatMap(control => control.checks)
+    .filter(check => check.type === 'owasp')
+    .map(check => editionOf(check.category)))];
+  if (editions.length > 0) {
+    result.owaspAttribution = Object.fromEntries(editions.map(edition =>
+      [edition, attributeFindings(auditData.repositories, edition, repositoryName)]));
+  }
+  
+  // The repository × control matrix
+  result.repositories = auditData.repositories.map(repo => checkRepository(framework, repo, auditData, context));
+  
   return result;
 }
 
-function checkControl(control, auditData) {
+/**
+ * Every control evaluated against one repository alone. A control is 'na'
+ * when none of its checks can be judged for a single repository, with the
+ * reasons why; otherwise it passes or fails like the aggregate does, and a
+ * failure lists what fell short.
+ */
+function checkRepository(framework, repo, auditData, context) {
+  const repoData = withRepositories(auditData, [repo]);
+  const row = {
+    repository: repositoryName(repo),
+    overallScore: null,
+    passed: 0,
+    failed: 0,
+    notApplicable: 0,
+    controls: {}
+  };
+  
+  let totalWeight = 0;
+  let weightedScore = 0;
+  
+  for (const [controlName, control] of Object.entries(framework.controls)) {
+    const reasons = [];
+    const checks = control.checks.filter(check => {
+      const reason = notApplicable(check, repo);
+      if (reason) reasons.push(reason);
+      return !reason;
+    });
+    
+    if (checks.length === 0) {
+      row.controls[controlName] = { status: 'na', score: null, reasons: [...new Set(reasons)] };
+      row.notApplicable++;
+      continue;
+    }
+    
+    const controlScore = checkControl({ ...control, checks }, repoData, context);
+    const passed = controlScore.score >= PASSING_SCORE;
+    row.controls[controlName] = {
+      status: passed ? 'pass' : 'fail',
+      score: controlScore.score,
+      reasons: passed ? [] : controlScore.issues.filter(Boolean)
+    };
+    row[passed ? 'passed' : 'failed']++;
+    
+    totalWeight += control.weight;
+    weightedScore += controlScore.score * control.weight;
+  }
+  
+  row.overallScore = totalWeight > 0 ? weightedScore / totalWeight : null;
+  return row;
+}
+
+// Checks scored by how regularly the organization is audited
+const auditHistoryCheck = (check) =>
+  check.type === 'audit' || (check.type === 'process' && check.name === 'audit' && !check.require);
+
+// Why a check can't be judged for one repository on its own, or null if it can
+function notApplicable(check, repo) {
+  if (auditHistoryCheck(check)) {
+    return 'Audit regularity is assessed for the organization, not per repository';
+  }
+  
+  if (check.type === 'feature') {
+    const features = check.name === 'scanning' ? ['codeScanning', 'secretScanning', 'dependabot'] : [check.name];
+    const unreadable = features.filter(feature => repo.securityFeatures[feature].status === 'unknown');
+    return unreadable.length > 0 ? `Could not read ${unreadable.join(', ')} settings` : null;
+  }
+  
+  const names = requirementsFor(check);
+  if (names && names.every(name => REQUIREMENTS[name].meets(repo, check) === null)) {
+    return `Audit data can't tell whether it has ${names.map(name => describeRequirement(name, check)).join(', ')}`;
+  }
+  
+  return null;
+}
+
+function checkControl(control, auditData, context) {
   const score = {
     score: 0,
     maxScore: 0,
@@ -301,7 +297,7 @@ function checkControl(control, auditData) {
   };
   
   for (const check of control.checks) {
-    const checkResult = evaluateCheck(check, auditData);
+    const checkResult = evaluateCheck(check, auditData, context);
     score.score += checkResult.score;
     score.maxScore += check.weight;
     score.details.push(checkResult);
@@ -316,7 +312,7 @@ function checkControl(control, auditData) {
   return score;
 }
 
-function evaluateCheck(check, auditData) {
+function evaluateCheck(check, auditData, context) {
   const result = {
     type: check.type,
     score: 0,
@@ -335,28 +331,41 @@ function evaluateCheck(check, auditData) {
     case 'code':
       result.score = evaluateCodePatterns(check, auditData);
       if (result.score < check.weight * 0.7) {
-        result.issue = `Code patterns for '${check.pattern}' need attention`;
+        result.issue = check.pattern
+          ? `Code patterns for '${check.pattern}' need attention`
+          : 'Code scanning alerts need attention';
+      }
+      break;
+      
+    case 'owasp':
+      result.score = evaluateOwaspCategory(check, auditData);
+      if (result.score < check.weight * 0.7) {
+        result.issue = `Open alerts in ${check.category} ${owaspCategoryName(check.category)} need attention`;
       }
       break;
       
     case 'secret':
       result.score = evaluateSecretScanning(check, auditData);
       if (result.score < check.weight * 0.7) {
-        result.issue = `Secret scanning alerts found for '${check.pattern}'`;
+        result.issue = check.pattern
+          ? `Secret scanning alerts found for '${check.pattern}'`
+          : 'Secret scanning alerts found';
       }
       break;
       
     case 'dependency':
       result.score = evaluateDependencies(check, auditData);
       if (result.score < check.weight * 0.7) {
-        result.issue = 'Dependency vulnerabilities need attention';
+        result.issue = 'Open Dependabot alerts need attention';
       }
       break;
       
     case 'alert':
       result.score = evaluateAlerts(check, auditData);
       if (result.score < check.weight * 0.7) {
-        result.issue = `${check.severity.join('/')} severity alerts need resolution`;
+        result.issue = check.severity
+          ? `${check.severity.join('/')} severity alerts need resolution`
+          : `Too many ${check.state} alerts`;
       }
       break;
       
@@ -367,9 +376,22 @@ function evaluateCheck(check, auditData) {
       }
       break;
       
+    case 'repository':
+    case 'documentation':
+    case 'backup':
+    case 'process':
+    case 'audit': {
+      // These say what fell short themselves
+      const evaluation = RECORD_EVALUATORS[check.type](check, auditData, context);
+      result.score = evaluation.score;
+      if (result.score < check.weight * 0.7) {
+        result.issue = evaluation.issue;
+      }
+      break;
+    }
+      
     default:
-      result.score = check.weight * 0.5; // Default partial score
-      result.issue = `Check type '${check.type}' not implemented`;
+      throw new Error(`Check type '${check.type}' has no evaluator`);
   }
   
   return result;
@@ -407,14 +429,37 @@ function evaluateSecurityFeature(check, auditData) {
   return (percentage / 100) * check.weight;
 }
 
+// The alerts (or findings) each alert-counting check type scores, per repository.
+// Only open ones count: with --since, the audit also collects closed alerts.
+// The evidence pack exports the same selection.
+const COUNTED_ALERTS = {
+  // Without a pattern, every open alert counts
+  code: (check, repo) => repo.alerts.code.filter(alert => isOpenAlert('code', alert) &&
+    (!check.pattern || check.pattern.test(alert.rule + ' ' + alert.description))
+  ),
+  // Open code scanning and Dependabot findings whose CWEs put them in the category,
+  // and Dependabot findings no CWE places in the components category
+  owasp: (check, repo) => repo.findings.filter(finding => 
+    attributable(finding) && findingCategory(finding, editionOf(check.category))?.id === check.category
+  ),
+  secret: (check, repo) => repo.alerts.secret.filter(alert => isOpenAlert('secret', alert) &&
+    (!check.pattern || check.pattern.test(alert.secretType + ' ' + alert.secretTypeDisplayName))
+  ),
+  dependency: (check, repo) => repo.alerts.dependency.filter(alert => isOpenAlert('dependency', alert)),
+  // Findings share one severity scale across code, secret and dependency alerts
+  alert: (check, repo) => repo.findings.filter(finding => {
+    if (check.severity) {
+      return finding.state === 'open' && check.severity.includes(finding.severity);
+    }
+    return finding.state === check.state;
+  }),
+};
+
+const countAlerts = (check, auditData) => 
+  auditData.repositories.reduce((sum, repo) => sum + COUNTED_ALERTS[check.type](check, repo).length, 0);
+
 function evaluateCodePatterns(check, auditData) {
-  const codeAlerts = auditData.repositories.reduce((acc, repo) => 
-    acc.concat(repo.alerts.code), []
-  );
-  
-  const patternMatches = codeAlerts.filter(alert => 
-    check.pattern.test(alert.rule + ' ' + alert.description)
-  ).length;
+  const patternMatches = countAlerts(check, auditData);
   
   // Lower pattern matches = better score
   if (patternMatches === 0) return check.weight;
@@ -423,14 +468,20 @@ function evaluateCodePatterns(check, auditData) {
   return check.weight * 0.2;
 }
 
-function evaluateSecretScanning(check, auditData) {
-  const secretAlerts = auditData.repositories.reduce((acc, repo) => 
-    acc.concat(repo.alerts.secret), []
-  );
+const owaspCategoryName = (id) => OWASP_TOP_10[editionOf(id)].find(category => category.id === id).name;
+
+function evaluateOwaspCategory(check, auditData) {
+  const matches = countAlerts(check, auditData);
   
-  const patternMatches = secretAlerts.filter(alert => 
-    check.pattern.test(alert.secretType + ' ' + alert.secretTypeDisplayName)
-  ).length;
+  // Lower matches = better score
+  if (matches === 0) return check.weight;
+  if (matches < 5) return check.weight * 0.7;
+  if (matches < 10) return check.weight * 0.4;
+  return check.weight * 0.2;
+}
+
+function evaluateSecretScanning(check, auditData) {
+  const patternMatches = countAlerts(check, auditData);
   
   // Lower secret alerts = better score
   if (patternMatches === 0) return check.weight;
@@ -439,33 +490,16 @@ function evaluateSecretScanning(check, auditData) {
 }
 
 function evaluateDependencies(check, auditData) {
-  const dependencyAlerts = auditData.repositories.reduce((acc, repo) => 
-    acc.concat(repo.alerts.dependency), []
-  );
-  
-  if (check.outdated) {
-    // Check for outdated dependencies
-    const outdatedCount = dependencyAlerts.length;
-    if (outdatedCount === 0) return check.weight;
-    if (outdatedCount < 10) return check.weight * 0.7;
-    if (outdatedCount < 25) return check.weight * 0.4;
-    return check.weight * 0.2;
-  }
-  
-  return check.weight * 0.5; // Default score
+  // Every open Dependabot alert is a dependency that needs upgrading
+  const vulnerableCount = countAlerts(check, auditData);
+  if (vulnerableCount === 0) return check.weight;
+  if (vulnerableCount < 10) return check.weight * 0.7;
+  if (vulnerableCount < 25) return check.weight * 0.4;
+  return check.weight * 0.2;
 }
 
 function evaluateAlerts(check, auditData) {
-  const allAlerts = auditData.repositories.reduce((acc, repo) => {
-    return acc.concat(repo.alerts.code, repo.alerts.secret, repo.alerts.dependency);
-  }, []);
-  
-  const matchingAlerts = allAlerts.filter(alert => {
-    if (check.severity) {
-      return check.severity.includes(alert.severity?.toLowerCase());
-    }
-    return alert.state === check.state;
-  }).length;
+  const matchingAlerts = countAlerts(check, auditData);
   
   // Lower alert count = better score
   if (matchingAlerts === 0) return check.weight;
@@ -489,8 +523,285 @@ function evaluateMetrics(check, auditData) {
       return check.weight * 0.2;
       
     default:
-      return check.weight * 0.5;
+      throw new Error(`Metric '${check.name}' has no evaluator`);
+  }
+}
+
+// Default branch protections that keep history from being rewritten or deleted,
+// from classic protection or rulesets; null when neither could be read
+function historyProtection(repo, classicSetting, ruleType) {
+  const protection = repo.securityFeatures.branchProtection;
+  const classicStatus = protection.classicStatus ?? protection.status;
+  
+  if (classicStatus === 'enabled' && protection.rules?.[classicSetting]?.enabled === false) return true;
+  if ((protection.rulesets || []).some(rule => rule.type === ruleType)) return true;
+  return classicStatus === 'unknown' || protection.rulesetStatus === 'unknown' ? null : false;
+}
+
+const featureEnabled = (name) => (repo) => {
+  const status = repo.securityFeatures[name].status;
+  return status === 'unknown' ? null : repo.securityFeatures[name].enabled;
+};
+
+// What repository, documentation, backup and process checks can require of each
+// repository. `meets` answers null when the audit data can't tell.
+const REQUIREMENTS = {
+  owner: { label: 'an owning team', meets: repo => (repo.ownership ? Boolean(repo.ownership.owner) : null) },
+  criticality: { label: 'a criticality tier', meets: repo => Boolean(repo.criticality) },
+  topics: { label: 'topics', meets: repo => repo.topics?.length > 0 },
+  complete: { label: 'complete audit data', meets: repo => (repo.collectionErrors || []).length === 0 },
+  securityPolicy: {
+    label: 'a security policy (SECURITY.md)',
+    meets: repo => (repo.documentation ? Boolean(repo.documentation.securityPolicy) : null),
+  },
+  codeowners: { label: 'a CODEOWNERS file', meets: repo => (repo.ownership ? Boolean(repo.ownership.codeownersFile) : null) },
+  codeScanning: { label: 'code scanning', meets: featureEnabled('codeScanning') },
+  codeScanningHealthy: {
+    label: 'healthy code scanning',
+    meets: repo => {
+      const codeScanning = repo.securityFeatures.codeScanning;
+      if (!codeScanning.enabled) return codeScanning.status === 'unknown' ? null : false;
+      return codeScanning.health ? codeScanning.health.healthy : null;
+    },
+  },
+  secretScanning: { label: 'secret scanning', meets: featureEnabled('secretScanning') },
+  pushProtection: { label: 'push protection', meets: repo => repo.securityFeatures.secretScanning.pushProtection === true },
+  dependabot: { label: 'Dependabot alerting', meets: featureEnabled('dependabot') },
+  dependabotSecurityUpdates: {
+    label: 'Dependabot security updates',
+    meets: repo => repo.securityFeatures.dependabot.securityUpdates === true,
+  },
+  branchBaseline: {
+    label: 'a default branch meeting the protection baseline',
+    meets: repo => {
+      const baseline = repo.securityFeatures.branchProtection.baseline;
+      if (!baseline) return null;
+      return baseline.compliant || (baseline.failed.length === 0 ? null : false);
+    },
+  },
+  blockForcePushes: {
+    label: 'force-push protection on the default branch',
+    meets: repo => historyProtection(repo, 'allow_force_pushes', 'non_fast_forward'),
+  },
+  blockDeletions: {
+    label: 'deletion protection on the default branch',
+    meets: repo => historyProtection(repo, 'allow_deletions', 'deletion'),
+  },
+  backupProperty: {
+    label: (check) => `a '${check.property || 'backup'}' custom property`,
+    meets: (repo, check) => {
+      if (!repo.customProperties) return null;
+      const value = repo.customProperties[check.property || 'backup'];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    },
+  },
+};
+
+// Used when a check doesn't list its own `require`
+const DEFAULT_REQUIREMENTS = {
+  repository: ['owner', 'criticality'],
+  documentation: ['securityPolicy'],
+  backup: ['backupProperty'],
+};
+
+// What each process is evidenced by, unless the check lists its own `require`
+const PROCESS_REQUIREMENTS = {
+  monitoring: ['codeScanningHealthy', 'secretScanning', 'dependabot'],
+  secureSDLC: ['codeScanning', 'branchBaseline'],
+  recovery: ['blockForcePushes', 'blockDeletions'],
+};
+
+/**
+ * Score the share of repositories meeting every requirement. Repositories the
+ * audit selected but couldn't collect count as falling short of all of them.
+ */
+function evaluateRequirements(check, auditData, names) {
+  const repos = auditData.repositories;
+  const total = Math.max(auditData.summary?.totalRepositories ?? 0, repos.length);
+  if (total === 0) {
+    return { score: 0, issue: 'No repositories were audited' };
+  }
+  
+  const outcomes = repos.map(repo => names.map(name => REQUIREMENTS[name].meets(repo, check)));
+  const passing = outcomes.filter(results => results.every(result => result === true)).length;
+  
+  const shortfalls = names.map((name, index) => ({
+    description: describeRequirement(name, check),
+    missing: outcomes.filter(results => results[index] === false).length,
+    unknown: outcomes.filter(results => results[index] === null).length,
+  })).filter(({ missing, unknown }) => missing + unknown > 0);
+  const score = (passing / total) * check.weight;
+  
+  // One repository at a time is how the matrix evaluates
+  if (total === 1 && repos.length === 1) {
+    const lacking = shortfalls.map(({ description, unknown }) => description + (unknown > 0 ? " (couldn't be checked)" : ''));
+    return { score, issue: `Lacks ${lacking.join(', ')}` };
+  }
+  
+  const issues = shortfalls.map(({ description, missing, unknown }) =>
+    `${missing + unknown} of ${total} repositories lack ${description}` + (unknown > 0 ? ` (${unknown} couldn't be checked)` : ''));
+  if (total > repos.length) {
+    issues.push(`${total - repos.length} repositories could not be audited`);
   }
+  
+  return { score, issue: issues.join('; ') };
+}
+
+function describeRequirement(name, check) {
+  const { label } = REQUIREMENTS[name];
+  return typeof label === 'function' ? label(check) : label;
+}
+
+// The requirements a check scores repositories by, or null for checks that don't
+function requirementsFor(check) {
+  if (check.require) return check.require;
+  if (check.type === 'process') return PROCESS_REQUIREMENTS[check.name] || null;
+  return DEFAULT_REQUIREMENTS[check.type] || null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Full marks for at least minRuns audits in the periodDays up to this one
+function evaluateAuditHistory(check, auditData, context) {
+  const periodDays = check.periodDays ?? 90;
+  const minRuns = check.minRuns ?? 3;
+  const end = new Date(auditData.metadata.auditDate).getTime();
+  
+  const runs = context.auditRuns.filter(date => date <= end && end - date <= periodDays * DAY_MS).length;
+  const hint = options.historyDir ? '' : ' (pass --history-dir with earlier audit results)';
+  
+  return {
+    score: Math.min(runs / minRuns, 1) * check.weight,
+    issue: `${runs} audit run${runs === 1 ? '' : 's'} in the ${periodDays} days to this audit, ${minRuns} expected${hint}`,
+  };
+}
+
+const evaluateRecords = (check, auditData) => evaluateRequirements(check, auditData, requirementsFor(check));
+
+const RECORD_EVALUATORS = {
+  repository: evaluateRecords,
+  documentation: evaluateRecords,
+  backup: evaluateRecords,
+  audit: evaluateAuditHistory,
+  process: (check, auditData, context) => (auditHistoryCheck(check)
+    ? evaluateAuditHistory(check, auditData, context)
+    : evaluateRecords(check, auditData)),
+};
+
+// When each repository's data was collected: earlier than the audit date for
+// repositories an incremental audit reused from its baseline
+const collectedAt = (repo, auditData) => repo.incremental?.collectedAt || auditData.metadata.auditDate;
+
+const BRANCH_REQUIREMENTS = ['branchBaseline', 'blockForcePushes', 'blockDeletions'];
+
+/**
+ * The audit data a control's checks were scored from, as evidence pack
+ * artifacts: file name → { description, data }.
+ */
+function controlEvidence(control, auditData, context) {
+  const artifacts = {};
+  const repos = auditData.repositories;
+  const numbered = control.checks.map((check, index) => ({ check, number: index + 1 }));
+  
+  const counting = numbered.filter(({ check }) => COUNTED_ALERTS[check.type]);
+  if (counting.length > 0) {
+    artifacts['alerts.json'] = {
+      description: 'the alerts each alert-counting check counted',
+      data: {
+        checks: counting.map(({ check, number }) => {
+          const alerts = repos.flatMap(repo => COUNTED_ALERTS[check.type](check, repo).map(alert => ({
+            repository: repositoryName(repo),
+            collectedAt: collectedAt(repo, auditData),
+            alert
+          })));
+          return { check: number, type: check.type, count: alerts.length, alerts };
+        })
+      }
+    };
+  }
+  
+  const featureChecks = control.checks.filter(check => check.type === 'feature' || requirementsFor(check));
+  if (featureChecks.length > 0) {
+    artifacts['repository-features.json'] = {
+      description: 'the security features and records of each repository',
+      data: {
+        repositories: repos.map(repo => {
+          const { branchProtection, ...features } = repo.securityFeatures;
+          return {
+            repository: repositoryName(repo),
+            collectedAt: collectedAt(repo, auditData),
+            visibility: repo.visibility,
+            archived: repo.archived,
+            securityFeatures: features,
+            branchProtection: { status: branchProtection.status, enabled: branchProtection.enabled },
+            ownership: repo.ownership,
+            criticality: repo.criticality,
+            topics: repo.topics,
+            customProperties: repo.customProperties,
+            documentation: repo.documentation,
+            collectionErrors: repo.collectionErrors
+          };
+        })
+      }
+    };
+  }
+  
+  const branchChecks = control.checks.filter(check => (check.type === 'feature' && check.name === 'branchProtection') ||
+    (requirementsFor(check) || []).some(name => BRANCH_REQUIREMENTS.includes(name)));
+  if (branchChecks.length > 0) {
+    artifacts['branch-protection.json'] = {
+      description: 'the default branch protection of each repository, classic and rulesets',
+      data: {
+        repositories: repos.map(repo => ({
+          repository: repositoryName(repo),
+          collectedAt: collectedAt(repo, auditData),
+          defaultBranch: repo.defaultBranch,
+          branchProtection: repo.securityFeatures.branchProtection
+        }))
+      }
+    };
+  }
+  
+  if (control.checks.some(check => check.type === 'metric')) {
+    artifacts['metrics.json'] = {
+      description: 'the alert metrics of each repository',
+      data: {
+        repositories: repos.map(repo => ({
+          repository: repositoryName(repo),
+          collectedAt: collectedAt(repo, auditData),
+          metrics: repo.metrics
+        }))
+      }
+    };
+  }
+  
+  if (control.checks.some(auditHistoryCheck)) {
+    artifacts['audit-history.json'] = {
+      description: 'the audit runs on record',
+      data: {
+        historyDir: options.historyDir || null,
+        baseline: auditData.metadata.baseline?.auditDate || null,
+        runs: context.auditRuns.map(date => new Date(date).toISOString())
+      }
+    };
+  }
+  
+  return artifacts;
+}
+
+// Every checked control with its score, per-repository outcomes and evidence
+function evidenceControls(frameworks, complianceReport, auditData, context) {
+  return frameworks.flatMap(framework => {
+    const result = complianceReport.results[framework.code];
+    return Object.entries(framework.controls).map(([name, control]) => ({
+      framework: { code: framework.code, name: framework.name, source: framework.source },
+      name,
+      definition: control,
+      score: result.controlScores[name],
+      repositories: result.repositories.map(row => ({ repository: row.repository, ...row.controls[name] })),
+      artifacts: controlEvidence(control, auditData, context)
+    }));
+  });
 }
 
 function generateRecommendations(complianceReport) {
@@ -544,6 +855,9 @@ function printComplianceSummary(report) {
     console.log(`  ${framework}: ${color(score.toFixed(1))}%`);
   }
   
+  printRepositoryResults(report);
+  printUnmappedAlerts(report);
+  
   if (report.summary.recommendations.length > 0) {
     console.log(chalk.yellow('\n⚠️  Recommendations:'));
     report.summary.recommendations.forEach((rec, index) => {
@@ -555,5 +869,53 @@ function printComplianceSummary(report) {
   console.log(chalk.green('\n✅ Compliance check completed'));
 }
 
+// Worst repositories first; with --repo, each selected one with the reasons its controls fail
+function printRepositoryResults(report) {
+  const limit = options.repo ? Infinity : 10;
+  
+  for (const [framework, result] of Object.entries(report.results)) {
+    const failing = result.repositories
+      .filter(row => row.failed > 0)
+      .sort((a, b) => a.overallScore - b.overallScore);
+    
+    if (failing.length === 0) continue;
+    
+    console.log(`\nRepositories failing ${framework} controls (${failing.length} of ${result.repositories.length}):`);
+    failing.slice(0, limit).forEach(row => {
+      const color = row.overallScore >= 80 ? chalk.green : row.overallScore >= 60 ? chalk.yellow : chalk.red;
+      console.log(`  ${row.repository}: ${color(row.overallScore.toFixed(1))}%, ${row.failed} failing, ${row.passed} passing, ${row.notApplicable} n/a`);
+      
+      if (options.repo) {
+        Object.entries(row.controls)
+          .filter(([, cell]) => cell.status === 'fail')
+          .forEach(([control, cell]) => {
+            console.log(chalk.red(`    ✖ ${control} (${cell.score.toFixed(1)}%)`));
+            cell.reasons.forEach(reason => console.log(chalk.gray(`      - ${reason}`)));
+          });
+      }
+    });
+    if (failing.length > limit) {
+      console.log(chalk.gray(`  ... and ${failing.length - limit} more (see the report's repositories matrix)`));
+    }
+  }
+}
+
+function printUnmappedAlerts(report) {
+  for (const [framework, result] of Object.entries(report.results)) {
+    for (const { edition, unmapped } of Object.values(result.owaspAttribution || {})) {
+      if (unmapped.length === 0) continue;
+      
+      console.log(chalk.yellow(`\n${framework}: ${unmapped.length} open alerts could not be mapped to an OWASP Top 10 ${edition} category:`));
+      unmapped.slice(0, 5).forEach(alert => {
+        const cwes = alert.cwes.length > 0 ? alert.cwes.join(', ') : 'no CWE';
+        console.log(`  ${alert.repository}: ${alert.title} (${alert.category}, ${cwes})`);
+      });
+      if (unmapped.length > 5) {
+        console.log(chalk.gray(`  ... and ${unmapped.length - 5} more (see the report's owaspAttribution)`));
+      }
+    }
+  }
+}
+
 // Run compliance check
 checkCompliance();
\ No newline at end of file
@@ -6,6 +6,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { Command } from 'commander';
 import chalk from 'chalk';
+import { groupByOwnerAndTier } from './lib/ownership.js';
+import { readAuditResults } from './lib/results.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,14 +22,32 @@ program
   .option('--dashboard <file>', 'Dashboard HTML file')
   .option('--repo <repo>', 'Repository to create issue in', process.env.GITHUB_REPOSITORY)
   .option('--token <token>', 'GitHub token', process.env.GITHUB_TOKEN || process.env.GH_TOKEN)
+  .option('--dry-run', 'Print the issue (and dashboard comment) instead of creating it')
   .parse();
 
 const options = program.opts();
 
 async function createIssue() {
   try {
+    // Read audit results
+    const auditResults = await readAuditResults(options.auditFile);
+    
+    // Generate issue content
+    const title = `🔒 Security Audit Results - ${new Date().toLocaleDateString()}`;
+    const issueBody = generateIssueBody(auditResults);
+    const dashboardContent = options.dashboard ? await fs.readFile(options.dashboard, 'utf8') : null;
+    
+    // Show what would be posted, without a repository or token
+    if (options.dryRun) {
+      console.log(`# ${title}\n\n${issueBody}`);
+      if (dashboardContent) {
+        console.log(`\n---\n\n${generateDashboardComment(dashboardContent, '<issue URL>')}`);
+      }
+      return;
+    }
+    
     // Parse repository owner/name
-    const [owner, repo] = options.repo.split('/');
+    const [owner, repo] = (options.repo || '').split('/');
     
     if (!owner || !repo) {
       throw new Error('Invalid repository format. Use owner/repo');
@@ -38,17 +58,11 @@ async function createIssue() {
       auth: options.token,
     });
     
-    // Read audit results
-    const auditResults = JSON.parse(await fs.readFile(options.auditFile, 'utf8'));
-    
-    // Generate issue content
-    const issueBody = generateIssueBody(auditResults);
-    
     // Create issue
     const { data: issue } = await octokit.issues.create({
       owner,
       repo,
-      title: `🔒 Security Audit Results - ${new Date().toLocaleDateString()}`,
+      title,
       body: issueBody,
       labels: ['security', 'audit', 'ghas'],
     });
@@ -56,9 +70,8 @@ async function createIssue() {
     console.log(chalk.green(`✅ Issue created: ${issue.html_url}`));
     
     // Add dashboard as comment if provided
-    if (options.dashboard) {
-      const dashboardContent = await fs.readFile(options.dashboard, 'utf8');
-      const dashboardComment = `## 📊 Executive Dashboard\n\n<details>\n<summary>View Full Dashboard</summary>\n\n${extractDashboardSummary(dashboardContent)}\n\n[Download Full Dashboard](${issue.html_url})\n</details>`;
+    if (dashboardContent) {
+      const dashboardComment = generateDashboardComment(dashboardContent, issue.html_url);
       
       await octokit.issues.createComment({
         owner,
@@ -98,7 +111,7 @@ function generateIssueBody(auditResults) {
 ### 🎯 Alert Distribution
 
 - **Code Scanning:** ${summary.codeAlerts} alerts
-- **Secret Scanning:** ${summary.secretAlerts} alerts
+- **Secret Scanning:** ${summary.secretAlerts} alerts${summary.activeSecretAlerts ? ` (**${summary.activeSecretAlerts} active credentials exposed**)` : ''}
 - **Dependencies:** ${summary.dependencyAlerts} alerts
 
 ### ✅ Compliance Scores
@@ -113,27 +126,53 @@ function generateIssueBody(auditResults) {
     body += `| ${framework} | ${data.score.toFixed(1)}% |\n`;
   });
 
+  // Add per-organization breakdown for multi-organization audits
+  if (auditResults.organizations) {
+    body += `\n### 🏢 Organizations\n\n`;
+    body += `| Organization | Repositories | Total Alerts | Critical | Compliance |\n`;
+    body += `|--------------|--------------|--------------|----------|------------|\n`;
+
+    auditResults.organizations.forEach(org => {
+      if (org.error) {
+        body += `| ${org.organization} | ⚠️ Not audited: ${org.error} | | | |\n`;
+        return;
+      }
+      body += `| ${org.organization} | ${org.summary.scannedRepositories} | ${org.summary.totalAlerts} | ${org.summary.criticalAlerts} | ${org.compliance.overallScore.toFixed(1)}% |\n`;
+    });
+  }
+
   // Add high-risk repositories
   const highRiskRepos = repositories
-    .filter(repo => repo.metrics.totalAlerts > 10 || 
-      repo.alerts.code.some(a => a.severity === 'critical') ||
-      repo.alerts.dependency.some(a => a.severity === 'CRITICAL'))
-    .sort((a, b) => b.metrics.totalAlerts - a.metrics.totalAlerts)
+    .filter(repo => repo.metrics.openAlerts > 10 || 
+      repo.findings.some(f => f.state === 'open' && f.severity === 'critical'))
+    .sort((a, b) => b.metrics.openAlerts - a.metrics.openAlerts)
     .slice(0, 5);
 
   if (highRiskRepos.length > 0) {
     body += `\n### 🚨 High-Risk Repositories\n\n`;
-    body += `| Repository | Total Alerts | Critical/High |\n`;
-    body += `|------------|--------------|---------------|\n`;
+    body += `| Repository | Owner | Tier | Open Alerts | Critical/High |\n`;
+    body += `|------------|-------|------|--------------|---------------|\n`;
     
     highRiskRepos.forEach(repo => {
-      const criticalHigh = repo.alerts.code.filter(a => 
-        a.severity === 'critical' || a.severity === 'high'
-      ).length + repo.alerts.dependency.filter(a => 
-        a.severity === 'CRITICAL' || a.severity === 'HIGH'
+      const criticalHigh = repo.findings.filter(f => 
+        f.state === 'open' && (f.severity === 'critical' || f.severity === 'high')
       ).length;
       
-      body += `| [${repo.name}](${repo.url}) | ${repo.metrics.totalAlerts} | ${criticalHigh} |\n`;
+      const name = repo.organization ? `${repo.organization}/${repo.name}` : repo.name;
+      body += `| [${name}](${repo.url}) | ${repo.ownership?.owner || '—'} | ${repo.criticality || '—'} | ${repo.metrics.openAlerts} | ${criticalHigh} |\n`;
+    });
+  }
+
+  // Route remediation to the teams that own the affected repositories
+  const ownerGroups = groupByOwnerAndTier(repositories).filter(group => group.openFindings > 0);
+
+  if (ownerGroups.length > 0) {
+    body += `\n### 👥 Open Findings by Owner and Tier\n\n`;
+    body += `| Owner | Tier | Repositories | Open | Critical | High |\n`;
+    body += `|-------|------|--------------|------|----------|------|\n`;
+
+    ownerGroups.slice(0, 10).forEach(group => {
+      body += `| ${group.owner} | ${group.tier} | ${group.repositories} | ${group.openFindings} | ${group.criticalFindings} | ${group.highFindings} |\n`;
     });
   }
 
@@ -174,6 +213,10 @@ function generateIssueBody(auditResults) {
   return body;
 }
 
+function generateDashboardComment(dashboardContent, issueUrl) {
+  return `## 📊 Executive Dashboard\n\n<details>\n<summary>View Full Dashboard</summary>\n\n${extractDashboardSummary(dashboardContent)}\n\n[Download Full Dashboard](${issueUrl})\n</details>`;
+}
+
 function extractDashboardSummary(htmlContent) {
   // Extract key information from HTML dashboard for issue comment
   // This is a simplified extraction - in production, use a proper HTML parser
@@ -7,6 +7,8 @@ import { fileURLToPath } from 'url';
 import Handlebars from 'handlebars';
 import { ChartJSNodeCanvas } from 'chartjs-node-canvas';
 import chalk from 'chalk';
+import { groupByOwnerAndTier } from './lib/ownership.js';
+import { readAuditResults } from './lib/results.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,11 +48,17 @@ Handlebars.registerHelper('severityColor', (severity) => {
   };
   return colors[severity.toLowerCase()] || '#6c757d';
 });
+Handlebars.registerHelper('featureBadge', (feature) => {
+  // Older audit files only carry `enabled`; newer ones add an 'unknown' status
+  const status = feature?.status || (feature?.enabled ? 'enabled' : 'disabled');
+  const labels = { enabled: 'Enabled', disabled: 'Disabled', unknown: 'Unknown' };
+  return new Handlebars.SafeString(`<span class="badge ${status}">${labels[status] || 'Unknown'}</span>`);
+});
 
 async function generateDashboard() {
   try {
     // Read audit results
-    const auditData = JSON.parse(await fs.readFile(options.input, 'utf8'));
+    const auditData = await readAuditResults(options.input);
     
     // Generate charts
     const charts = await generateCharts(auditData);
@@ -61,6 +69,8 @@ async function generateDashboard() {
       charts,
       generatedAt: new Date().toISOString(),
       recommendations: generateRecommendations(auditData),
+      codeScanningHealth: getCodeScanningHealth(auditData),
+      ownerGroups: groupByOwnerAndTier(auditData.repositories),
       riskScore: calculateRiskScore(auditData),
       executiveSummary: generateExecutiveSummary(auditData),
     };
@@ -195,11 +205,11 @@ async function generateCharts(auditData) {
   
   // 4. Repository Risk Matrix
   const repoRiskData = auditData.repositories
-    .filter(repo => repo.metrics.totalAlerts > 0)
+    .filter(repo => repo.metrics.openAlerts > 0)
     .map(repo => ({
-      x: repo.metrics.totalAlerts,
+      x: repo.metrics.openAlerts,
       y: repo.metrics.meanTimeToResolve || 0,
-      r: Math.sqrt(repo.metrics.totalAlerts) * 5,
+      r: Math.sqrt(repo.metrics.openAlerts) * 5,
       label: repo.name,
     }));
   
@@ -224,14 +234,14 @@ async function generateCharts(auditData) {
           callbacks: {
             label: (context) => {
               const point = context.raw;
-              return `${point.label}: ${point.x} alerts, ${point.y.toFixed(1)} days MTTR`;
+              return `${point.label}: ${point.x} open alerts, ${point.y.toFixed(1)} days MTTR`;
             },
           },
         },
       },
       scales: {
         x: {
-          title: { display: true, text: 'Total Alerts' },
+          title: { display: true, text: 'Open Alerts' },
           beginAtZero: true,
         },
         y: {
@@ -271,6 +281,17 @@ function calculateRiskScore(auditData) {
   };
 }
 
+// Repositories whose code scanning is enabled but stale, failing or incomplete
+function getCodeScanningHealth(auditData) {
+  return auditData.repositories
+    .filter(repo => repo.securityFeatures.codeScanning.health?.healthy === false)
+    .map(repo => ({
+      name: repo.organization ? `${repo.organization}/${repo.name}` : repo.name,
+      url: repo.url,
+      issues: repo.securityFeatures.codeScanning.health.issues,
+    }));
+}
+
 function generateRecommendations(auditData) {
   const recommendations = [];
   
@@ -300,6 +321,18 @@ function generateRecommendations(auditData) {
     });
   }
   
+  // Check code scanning health
+  const unhealthyRepos = getCodeScanningHealth(auditData);
+  
+  if (unhealthyRepos.length > 0) {
+    recommendations.push({
+      priority: 'High',
+      title: 'Fix Code Scanning Configuration',
+      description: `${unhealthyRepos.length} repositories have code scanning enabled but stale analyses, failing runs or languages without coverage.`,
+      action: 'Repair failing CodeQL workflows and add the missing languages to default or advanced setup.',
+    });
+  }
+  
   // Check compliance scores
   const lowComplianceFrameworks = Object.entries(auditData.compliance.frameworks)
     .filter(([_, data]) => data.score < 70)
@@ -519,6 +552,7 @@ function getDefaultTemplate() {
         }
         .badge.enabled { background: #28a745; color: white; }
         .badge.disabled { background: #dc3545; color: white; }
+        .badge.unknown { background: #6c757d; color: white; }
         @media print {
             body { background: white; }
             .card, .chart-container, .executive-summary, .recommendations, .repository-details {
@@ -600,13 +634,100 @@ function getDefaultTemplate() {
             {{/each}}
         </div>
 
+        {{#if organizations}}
+        <div class="repository-details" style="margin-bottom: 30px;">
+            <h2>Organizations</h2>
+            <table class="repo-table">
+                <thead>
+                    <tr>
+                        <th>Organization</th>
+                        <th>Repositories</th>
+                        <th>Total Alerts</th>
+                        <th>Critical Alerts</th>
+                        <th>Compliance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each organizations}}
+                    <tr>
+                        <td>{{organization}}</td>
+                        {{#if error}}
+                        <td colspan="4"><span class="badge disabled">Not audited</span> {{error}}</td>
+                        {{else}}
+                        <td>{{summary.scannedRepositories}}</td>
+                        <td>{{summary.totalAlerts}}</td>
+                        <td>{{summary.criticalAlerts}}</td>
+                        <td>{{toFixed compliance.overallScore 1}}%</td>
+                        {{/if}}
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+        </div>
+        {{/if}}
+
+        {{#if codeScanningHealth}}
+        <div class="repository-details" style="margin-bottom: 30px;">
+            <h2>Code Scanning Health</h2>
+            <table class="repo-table">
+                <thead>
+                    <tr>
+                        <th>Repository</th>
+                        <th>Issues</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each codeScanningHealth}}
+                    <tr>
+                        <td><a href="{{url}}" target="_blank">{{name}}</a></td>
+                        <td>{{#each issues}}<div>{{detail}}</div>{{/each}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+        </div>
+        {{/if}}
+
+        {{#if ownerGroups}}
+        <div class="repository-details" style="margin-bottom: 30px;">
+            <h2>Open Findings by Owner and Tier</h2>
+            <table class="repo-table">
+                <thead>
+                    <tr>
+                        <th>Owner</th>
+                        <th>Tier</th>
+                        <th>Repositories</th>
+                        <th>Open Findings</th>
+                        <th>Critical</th>
+                        <th>High</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {{#each ownerGroups}}
+                    <tr>
+                        <td>{{owner}}</td>
+                        <td>{{tier}}</td>
+                        <td>{{repositories}}</td>
+                        <td>{{openFindings}}</td>
+                        <td>{{criticalFindings}}</td>
+                        <td>{{highFindings}}</td>
+                    </tr>
+                    {{/each}}
+                </tbody>
+            </table>
+        </div>
+        {{/if}}
+
         <div class="repository-details">
             <h2>Repository Details</h2>
             <table class="repo-table">
                 <thead>
                     <tr>
                         <th>Repository</th>
-                        <th>Total Alerts</th>
+                        <th>Owner</th>
+                        <th>Tier</th>
+                        <th>Open Alerts</th>
+                        <th>Patch Available</th>
                         <th>Code Scanning</th>
                         <th>Secret Scanning</th>
                         <th>Dependabot</th>
@@ -616,36 +737,15 @@ function getDefaultTemplate() {
                 <tbody>
                     {{#each repositories}}
                     <tr>
-                        <td><a href="{{url}}" target="_blank">{{name}}</a></td>
-                        <td>{{metrics.totalAlerts}}</td>
-                        <td>
-                            {{#if securityFeatures.codeScanning.enabled}}
-                                <span class="badge enabled">Enabled</span>
-                            {{else}}
-                                <span class="badge disabled">Disabled</span>
-                            {{/if}}
-                        </td>
-                        <td>
-                            {{#if securityFeatures.secretScanning.enabled}}
-                                <span class="badge enabled">Enabled</span>
-                            {{else}}
-                                <span class="badge disabled">Disabled</span>
-                            {{/if}}
-                        </td>
-                        <td>
-                            {{#if securityFeatures.dependabot.enabled}}
-                                <span class="badge enabled">Enabled</span>
-                            {{else}}
-                                <span class="badge disabled">Disabled</span>
-                            {{/if}}
-                        </td>
-                        <td>
-                            {{#if securityFeatures.branchProtection.enabled}}
-                                <span class="badge enabled">Enabled</span>
-                            {{else}}
-                                <span class="badge disabled">Disabled</span>
-                            {{/if}}
-                        </td>
+                        <td><a href="{{url}}" target="_blank">{{#if organization}}{{organization}}/{{/if}}{{name}}</a></td>
+                        <td>{{ownership.owner}}</td>
+                        <td>{{criticality}}</td>
+                        <td>{{metrics.openAlerts}}</td>
+                        <td>{{metrics.patchAvailableAlerts}}</td>
+                        <td>{{featureBadge securityFeatures.codeScanning}}</td>
+                        <td>{{featureBadge securityFeatures.secretScanning}}</td>
+                        <td>{{featureBadge securityFeatures.dependabot}}</td>
+                        <td>{{featureBadge securityFeatures.branchProtection}}</td>
                     </tr>
                     {{/each}}
                 </tbody>
@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import { Octokit } from '@octokit/rest';
+import { createAppAuth } from '@octokit/auth-app';
+
+// Accept PEM contents (with literal "\n" escapes, as CI secrets often store them) or a file path
+export async function readPrivateKey(value) {
+  if (value.includes('-----BEGIN')) {
+    return value.replace(/\\n/g, '\n');
+  }
+
+  try {
+    return await fs.readFile(value, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read GitHub App private key from ${value}: ${error.message}`);
+  }
+}
+
+/**
+ * Octokit constructor options for either a token or a GitHub App installation.
+ * App auth mints installation tokens on demand and refreshes them before they
+ * expire, so long audits outlive the one-hour installation token lifetime.
+ * Without an installation ID, the app's installation on `org` is looked up.
+ */
+export async function createAuthOptions(options, { org, requestDefaults = {} }) {
+  if (!options.appId) {
+    return { auth: options.token };
+  }
+
+  const appId = options.appId;
+  const privateKey = await readPrivateKey(options.privateKey);
+  let installationId = options.installationId;
+
+  if (!installationId) {
+    const appOctokit = new Octokit({
+      ...requestDefaults,
+      authStrategy: createAppAuth,
+      auth: { appId, privateKey },
+    });
+
+    try {
+      const { data } = await appOctokit.apps.getOrgInstallation({ org });
+      installationId = data.id;
+    } catch (error) {
+      throw new Error(`GitHub App ${appId} is not installed on ${org}: ${error.message}`);
+    }
+  }
+
+  return {
+    authStrategy: createAppAuth,
+    auth: { appId, privateKey, installationId },
+  };
+}
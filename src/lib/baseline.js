@@ -0,0 +1,39 @@
+import path from 'path';
+import { GITHUB_DOTCOM_API_URL } from './capabilities.js';
+import { readAuditResults } from './results.js';
+
+// Organization and repository names are case-insensitive on GitHub
+export const baselineKey = (org, repoName) => `${org}/${repoName}`.toLowerCase();
+
+/**
+ * Load a previous audit to carry unchanged repositories forward from. Works
+ * with single- and multi-organization results; repositories are keyed by
+ * organization and name.
+ */
+export async function loadBaseline(file) {
+  let auditData;
+  try {
+    auditData = await readAuditResults(file);
+  } catch (error) {
+    throw new Error(`Could not read baseline ${file}: ${error.message}`);
+  }
+
+  const { metadata, repositories } = auditData;
+  if (!metadata?.auditDate || !Array.isArray(repositories)) {
+    throw new Error(`Baseline ${file} is not an audit results file`);
+  }
+
+  return {
+    file: path.resolve(file),
+    auditDate: metadata.auditDate,
+    since: metadata.since ?? null,
+    // Results from before --api-url existed all came from GitHub.com
+    apiUrl: metadata.server?.apiUrl ?? GITHUB_DOTCOM_API_URL,
+    // Results from before collection options were recorded used none of the optional requests
+    options: metadata.options ?? {},
+    repositories: new Map(repositories.map(({ organization, ...repoAudit }) => [
+      baselineKey(organization || metadata.organization, repoAudit.name),
+      repoAudit,
+    ])),
+  };
+}
@@ -0,0 +1,129 @@
+import { readConfigFile } from './config-file.js';
+
+/**
+ * The protection every default branch is expected to have. Each control is
+ * checked against classic branch protection and against the repository and
+ * organization rulesets that apply to the branch; either one satisfies it.
+ * A baseline file overrides any of these, and `false` drops a control:
+ *
+ *   requiredReviews: 2
+ *   requireSignedCommits: false
+ */
+export const DEFAULT_BRANCH_BASELINE = {
+  requiredReviews: 1,
+  dismissStaleReviews: true,
+  requireStatusChecks: true,
+  requireCodeScanning: true,
+  requireSignedCommits: true,
+  blockForcePushes: true,
+  enforceAdmins: true,
+};
+
+export async function loadBranchBaseline(file) {
+  const config = await readConfigFile(file);
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Branch protection baseline ${file} must be an object of controls`);
+  }
+
+  Object.entries(config).forEach(([control, value]) => {
+    if (!(control in DEFAULT_BRANCH_BASELINE)) {
+      throw new Error(`Branch protection baseline ${file}: unknown control '${control}' (allowed: ${Object.keys(DEFAULT_BRANCH_BASELINE).join(', ')})`);
+    }
+    const expected = typeof DEFAULT_BRANCH_BASELINE[control];
+    if (typeof value !== expected && value !== false) {
+      throw new Error(`Branch protection baseline ${file}: '${control}' must be a ${expected}`);
+    }
+    // GitHub requires between 1 and 6 approvals; anything else would always pass or always fail
+    if (control === 'requiredReviews' && value !== false && !(Number.isInteger(value) && value >= 1 && value <= 6)) {
+      throw new Error(`Branch protection baseline ${file}: 'requiredReviews' must be a whole number from 1 to 6, or false (got ${value})`);
+    }
+  });
+
+  return { ...DEFAULT_BRANCH_BASELINE, ...config };
+}
+
+// Classic protection only names the status checks; CodeQL's are the code scanning ones
+const CODE_SCANNING_CHECK = /codeql|code[ -]?scanning/i;
+
+const ruleOf = (rules, type) => rules.find(rule => rule.type === type);
+
+// What classic protection and rulesets each provide, in the same terms
+function classicSettings(protection) {
+  if (!protection) return null;
+
+  const reviews = protection.required_pull_request_reviews;
+  const checks = [
+    ...(protection.required_status_checks?.contexts || []),
+    ...(protection.required_status_checks?.checks || []).map(check => check.context),
+  ];
+
+  return {
+    requiredReviews: reviews ? reviews.required_approving_review_count ?? 0 : 0,
+    dismissStaleReviews: Boolean(reviews?.dismiss_stale_reviews),
+    requireStatusChecks: checks.length > 0,
+    requireCodeScanning: checks.some(check => CODE_SCANNING_CHECK.test(check)),
+    requireSignedCommits: Boolean(protection.required_signatures?.enabled),
+    blockForcePushes: !protection.allow_force_pushes?.enabled,
+    enforceAdmins: Boolean(protection.enforce_admins?.enabled),
+  };
+}
+
+function rulesetSettings(rules, bypassable) {
+  if (!rules || rules.length === 0) return null;
+
+  const pullRequest = ruleOf(rules, 'pull_request')?.parameters;
+  const statusChecks = ruleOf(rules, 'required_status_checks')?.parameters?.required_status_checks || [];
+
+  return {
+    requiredReviews: pullRequest?.required_approving_review_count ?? 0,
+    dismissStaleReviews: Boolean(pullRequest?.dismiss_stale_reviews_on_push),
+    requireStatusChecks: statusChecks.length > 0,
+    requireCodeScanning: Boolean(ruleOf(rules, 'code_scanning')) ||
+      statusChecks.some(check => CODE_SCANNING_CHECK.test(check.context)),
+    requireSignedCommits: Boolean(ruleOf(rules, 'required_signatures')),
+    blockForcePushes: Boolean(ruleOf(rules, 'non_fast_forward')),
+    // Rulesets apply to admins unless a ruleset lists bypass actors; null when that couldn't be read
+    enforceAdmins: bypassable === null ? null : !bypassable,
+  };
+}
+
+const meets = (control, required, actual) =>
+  (control === 'requiredReviews' ? actual >= required : actual === true);
+
+/**
+ * Evaluate a branch against the baseline, control by control. `protection`
+ * and `rules` are null when the branch has none and undefined when they
+ * couldn't be read; a control nothing readable satisfies then has a `pass`
+ * of null, so missing permissions don't read as a failure.
+ */
+export function evaluateBranchControls(baseline, { protection, rules, bypassable }) {
+  const sources = {
+    classic: classicSettings(protection),
+    ruleset: rulesetSettings(rules, bypassable),
+  };
+
+  const controls = Object.entries(baseline)
+    .filter(([, required]) => required !== false)
+    .map(([control, required]) => {
+      const satisfiedBy = Object.entries(sources)
+        .filter(([, settings]) => settings && meets(control, required, settings[control]))
+        .map(([source]) => source);
+      const unknown = protection === undefined || rules === undefined || sources.ruleset?.[control] === null;
+
+      return {
+        control,
+        required,
+        classic: sources.classic?.[control] ?? null,
+        ruleset: sources.ruleset?.[control] ?? null,
+        pass: satisfiedBy.length > 0 ? true : unknown ? null : false,
+        satisfiedBy,
+      };
+    });
+
+  return {
+    compliant: controls.every(c => c.pass === true),
+    failed: controls.filter(c => c.pass === false).map(c => c.control),
+    controls,
+  };
+}
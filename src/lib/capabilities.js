@@ -0,0 +1,72 @@
+export const GITHUB_DOTCOM_API_URL = 'https://api.github.com';
+
+/**
+ * Oldest GitHub Enterprise Server release that serves each data source the
+ * audit reads. GitHub.com supports all of them. Sources a server lacks are
+ * skipped rather than reported as collection errors.
+ */
+const MINIMUM_GHES_VERSION = {
+  codeScanningAlerts: '3.0',
+  secretScanningAlerts: '3.0',
+  dependabotAlerts: '3.0',
+  orgSecretScanningAlerts: '3.4',
+  orgCodeScanningAlerts: '3.5',
+  orgDependabotAlerts: '3.8',
+  repoDependabotAlerts: '3.8',
+  pushProtection: '3.6',
+  automatedSecurityFixes: '3.8',
+  codeScanningDefaultSetup: '3.9',
+  branchRules: '3.10',
+  customProperties: '3.13',
+  advisoryEpss: '3.14',
+};
+
+const compareVersions = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+export function capabilitiesForVersion(version) {
+  const capabilities = {};
+  Object.entries(MINIMUM_GHES_VERSION).forEach(([name, minimum]) => {
+    capabilities[name] = !version || compareVersions(version, minimum) >= 0;
+  });
+  return capabilities;
+}
+
+/**
+ * Identify the server behind `apiUrl`. GHES reports its release as
+ * `installed_version` on /meta; GitHub.com has no such field. If the probe
+ * itself fails we assume everything is supported and let calls fail normally.
+ */
+export async function probeCapabilities(octokit, apiUrl) {
+  const server = {
+    apiUrl,
+    product: apiUrl === GITHUB_DOTCOM_API_URL ? 'github.com' : 'unknown',
+    version: null,
+  };
+
+  try {
+    const { data, headers } = await octokit.request('GET /meta');
+    const version = data.installed_version || headers['x-github-enterprise-version'];
+
+    if (version) {
+      server.product = 'ghes';
+      server.version = String(version);
+    } else if (server.product === 'unknown') {
+      // GitHub Enterprise Cloud with data residency answers like GitHub.com
+      server.product = 'github.com';
+    }
+  } catch (error) {
+    server.probeError = error.message;
+  }
+
+  // Compare on major.minor so patch releases don't matter
+  const release = server.version?.split('.').slice(0, 2).join('.');
+  return { ...server, capabilities: capabilitiesForVersion(release) };
+}
@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Checkpoints are JSON Lines files: a header describing the run, followed by
+ * one line per completed repository audit (or failed one, which a resume
+ * audits again). Appending a line per repo means a
+ * crash loses at most the repo that was being written.
+ */
+
+// The values of the options named by `keys`, unset ones as null
+export function recordOptions(options, keys) {
+  const recorded = {};
+  keys.forEach(key => {
+    recorded[key] = options[key] ?? null;
+  });
+  return recorded;
+}
+
+export function createCheckpointHeader(org, options, keys) {
+  return {
+    type: 'header',
+    organization: org,
+    scope: options.scope,
+    options: recordOptions(options, keys),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export async function loadCheckpoint(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read checkpoint ${file}: ${error.message}`);
+  }
+
+  const lines = content.split('\n').filter(line => line.trim());
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A torn final line just means we crashed mid-write; anything else is corruption
+      if (index !== lines.length - 1) {
+        throw new Error(`Checkpoint ${file} is corrupt at line ${index + 1}`);
+      }
+    }
+  });
+
+  const [header, ...records] = entries;
+  if (header?.type !== 'header') {
+    throw new Error(`Checkpoint ${file} has no header`);
+  }
+
+  const repositories = new Map();
+  records
+    .filter(record => record.type === 'repository')
+    .forEach(record => repositories.set(record.repository.name, record.repository));
+
+  return { header, repositories };
+}
+
+/**
+ * Reject a resume whose org, scope or collection options differ from the
+ * checkpointed run - merging those results would silently mix two audits.
+ */
+export function assertCheckpointMatches(header, expected) {
+  const mismatches = [];
+
+  if (header.organization !== expected.organization) {
+    mismatches.push(`organization (${header.organization} vs ${expected.organization})`);
+  }
+  if (header.scope !== expected.scope) {
+    mismatches.push(`scope (${header.scope} vs ${expected.scope})`);
+  }
+
+  const keys = new Set([...Object.keys(header.options), ...Object.keys(expected.options)]);
+  keys.forEach(key => {
+    const recorded = JSON.stringify(header.options[key] ?? null);
+    const current = JSON.stringify(expected.options[key] ?? null);
+    if (recorded !== current) {
+      mismatches.push(`${key} (${recorded} vs ${current})`);
+    }
+  });
+
+  if (mismatches.length > 0) {
+    throw new Error(`Checkpoint does not match this run: ${mismatches.join(', ')}`);
+  }
+}
+
+const toRecord = (repoAudit) => ({ type: 'repository', repository: repoAudit });
+
+export class CheckpointWriter {
+  constructor(file) {
+    this.file = path.resolve(file);
+    // Workers finish concurrently; serialise appends so lines never interleave
+    this.queue = Promise.resolve();
+  }
+
+  // Rewrites the file, so resuming also drops a torn line left by a crash
+  async start(header, repoAudits = []) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const lines = [header, ...repoAudits.map(toRecord)].map(entry => JSON.stringify(entry) + '\n');
+    await fs.writeFile(this.file, lines.join(''));
+  }
+
+  // The caller sees whether its own line was written; the next line is
+  // appended either way, so one failed write doesn't fail every later one
+  append(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    const appended = this.queue.then(() => fs.appendFile(this.file, line));
+    this.queue = appended.catch(() => {});
+    return appended;
+  }
+
+  add(repoAudit) {
+    return this.append(toRecord(repoAudit));
+  }
+
+  // Noted so the checkpoint shows which repositories a resume will retry
+  fail(repoName) {
+    return this.append({ type: 'failure', repository: repoName, failedAt: new Date().toISOString() });
+  }
+
+  async remove() {
+    await this.queue;
+    await fs.rm(this.file, { force: true });
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Code scanning health: whether a repository that has code scanning enabled
+ * is actually being analyzed. Flags stale default-branch analyses, analyses
+ * that reported errors or warnings, repository languages CodeQL supports but
+ * doesn't analyze, and CodeQL workflows whose latest run failed.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Linguist language names (GET /languages) to CodeQL's language identifiers
+const CODEQL_LANGUAGES = {
+  'C': 'c-cpp',
+  'C++': 'c-cpp',
+  'C#': 'csharp',
+  'Go': 'go',
+  'Java': 'java-kotlin',
+  'Kotlin': 'java-kotlin',
+  'JavaScript': 'javascript-typescript',
+  'TypeScript': 'javascript-typescript',
+  'Python': 'python',
+  'Ruby': 'ruby',
+  'Swift': 'swift',
+};
+
+// Default setup and analysis categories use both the combined and the older per-language names
+const CODEQL_ALIASES = {
+  'c': 'c-cpp',
+  'cpp': 'c-cpp',
+  'java': 'java-kotlin',
+  'kotlin': 'java-kotlin',
+  'javascript': 'javascript-typescript',
+  'typescript': 'javascript-typescript',
+};
+
+const FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+
+// Workflows that run CodeQL: default setup's dynamic workflow, or an advanced setup workflow
+export const isCodeScanningWorkflow = (workflow) =>
+  /codeql|code-scanning/i.test(workflow.path) || /codeql/i.test(workflow.name);
+
+const codeqlLanguage = (name) => {
+  const language = String(name).toLowerCase();
+  return CODEQL_ALIASES[language] || language;
+};
+
+// The newest analysis per tool and category, which together describe the branch's current state
+export function latestAnalyses(analyses) {
+  const latest = new Map();
+  analyses.forEach(analysis => {
+    const key = `${analysis.tool?.name}|${analysis.category}`;
+    if (!latest.has(key) || analysis.created_at > latest.get(key).created_at) {
+      latest.set(key, analysis);
+    }
+  });
+
+  return [...latest.values()].map(analysis => ({
+    tool: analysis.tool?.name,
+    toolVersion: analysis.tool?.version || null,
+    category: analysis.category || null,
+    createdAt: analysis.created_at,
+    resultsCount: analysis.results_count ?? null,
+    error: analysis.error || null,
+    warning: analysis.warning || null,
+  }));
+}
+
+/**
+ * Assess the health of collected code scanning data. Inputs live on the
+ * codeScanning feature: `analyses` (latest per category on the default
+ * branch), `languages`, `defaultSetupLanguages` and `latestRuns`.
+ */
+export function assessCodeScanningHealth(codeScanning, { staleDays, now = new Date() }) {
+  const issues = [];
+  const analyses = codeScanning.analyses || [];
+
+  // Staleness goes by the newest analysis; any category counts as the branch being scanned
+  const newest = analyses.map(analysis => analysis.createdAt).sort().pop();
+  const ageDays = newest ? Math.floor((now - new Date(newest)) / DAY_MS) : null;
+
+  if (ageDays === null) {
+    issues.push({ type: 'stale-analysis', detail: 'No analysis of the default branch' });
+  } else if (ageDays > staleDays) {
+    issues.push({ type: 'stale-analysis', detail: `Last default branch analysis ${ageDays} days ago (limit ${staleDays})` });
+  }
+
+  analyses.forEach(analysis => {
+    const label = `${analysis.tool}${analysis.category ? ` ${analysis.category}` : ''}`;
+    if (analysis.error) {
+      issues.push({ type: 'analysis-errors', detail: `${label}: ${analysis.error}` });
+    }
+    if (analysis.warning) {
+      issues.push({ type: 'analysis-warnings', detail: `${label}: ${analysis.warning}` });
+    }
+  });
+
+  const covered = new Set([
+    ...(codeScanning.defaultSetupLanguages || []).map(codeqlLanguage),
+    ...analyses
+      .filter(analysis => analysis.tool === 'CodeQL')
+      .map(analysis => analysis.category?.match(/language:([\w-]+)/)?.[1])
+      .filter(Boolean)
+      .map(codeqlLanguage),
+  ]);
+
+  const missingLanguages = [...new Set((codeScanning.languages || [])
+    .filter(language => CODEQL_LANGUAGES[language] && !covered.has(CODEQL_LANGUAGES[language])))];
+
+  missingLanguages.forEach(language => {
+    issues.push({ type: 'missing-language', detail: `${language} is not analyzed by CodeQL` });
+  });
+
+  (codeScanning.latestRuns || [])
+    .filter(run => FAILED_CONCLUSIONS.includes(run.conclusion))
+    .forEach(run => {
+      issues.push({ type: 'failed-run', detail: `Latest run of ${run.workflow} ended in ${run.conclusion}` });
+    });
+
+  return {
+    healthy: issues.length === 0,
+    lastAnalysisAgeDays: ageDays,
+    coveredLanguages: [...covered],
+    missingLanguages,
+    issues,
+  };
+}
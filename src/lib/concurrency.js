@@ -0,0 +1,27 @@
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ * Results come back in input order, regardless of completion order.
+ * Once a call rejects no further items start; the calls already in flight
+ * finish, and then the pool rejects with the first error.
+ */
+export async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  const size = Math.max(1, Math.min(limit, items.length));
+  let next = 0;
+  let failure = null;
+
+  const runners = Array.from({ length: size }, async () => {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure ||= { error };
+      }
+    }
+  });
+
+  await Promise.all(runners);
+  if (failure) throw failure.error;
+  return results;
+}
@@ -0,0 +1,22 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Read a YAML or JSON configuration file. JSON is picked by the .json
+ * extension; everything else is parsed as YAML (a superset of JSON anyway).
+ */
+export async function readConfigFile(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import archiver from 'archiver';
+
+/**
+ * Compliance evidence packs: one folder per control with the audit data its
+ * checks were scored from and a narrative of the outcome, a manifest with
+ * the SHA-256 of every artifact, and the whole pack zipped for handing over.
+ *
+ *   compliance-evidence-<organization>-<check date>/
+ *     README.md, manifest.json, SHA256SUMS, compliance-report.json
+ *     source/<audit results file>
+ *     <FRAMEWORK>/<NN-control>/narrative.md, checks.json, <evidence>.json
+ */
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Check patterns are RegExps once loaded; write them the way they read in a narrative
+const serialize = (data) => JSON.stringify(data, (key, value) => (value instanceof RegExp ? String(value) : value), 2);
+
+const percent = (score) => (score === null ? 'n/a' : `${score.toFixed(1)}%`);
+
+// "feature name=codeScanning", "owasp category=A03:2021": the type and what configures it
+export function describeCheck(check) {
+  const settings = Object.entries(check)
+    .filter(([key]) => key !== 'type' && key !== 'weight')
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : String(value)}`);
+  return [check.type, ...settings].join(' ');
+}
+
+function renderNarrative(control, { passingScore, audit, checkDate, artifacts }) {
+  const { framework, name, definition, score, repositories } = control;
+  const status = score.score >= passingScore ? 'Pass' : 'Fail';
+  const count = (value) => repositories.filter(row => row.status === value).length;
+  const failing = repositories.filter(row => row.status === 'fail');
+
+  const lines = [
+    `# ${name}`,
+    '',
+    `Framework: ${framework.name} (${framework.code}, defined in ${framework.source})`,
+    `Outcome: **${status}**, scoring ${percent(score.score)} against a passing score of ${passingScore}% (control weight ${definition.weight})`,
+    `Audit: ${audit.organization}, data collected ${audit.auditDate}; evaluated ${checkDate}`,
+    '',
+    '## What was checked',
+    '',
+    ...definition.checks.map((check, index) => {
+      const result = score.details[index];
+      const outcome = `${result.score.toFixed(1)} of ${result.maxScore}`;
+      return `${index + 1}. \`${describeCheck(check)}\`: ${outcome}${result.issue ? `. ${result.issue}` : ''}`;
+    }),
+    '',
+    '## Repositories',
+    '',
+    `Evaluated one at a time, ${count('pass')} pass, ${count('fail')} fail and ${count('na')} could not be judged individually.`,
+  ];
+
+  if (failing.length > 0) {
+    lines.push('', 'Failing:', '');
+    failing.forEach(row => {
+      lines.push(`- ${row.repository} (${percent(row.score)})${row.reasons.length > 0 ? `: ${row.reasons.join('; ')}` : ''}`);
+    });
+  }
+
+  lines.push(
+    '',
+    '## Evidence',
+    '',
+    '- `checks.json`: the check definitions, their results and the per-repository outcomes',
+    ...artifacts.map(({ file, description }) => `- \`${file}\`: ${description}`),
+    '',
+    'The SHA-256 of every file is in `manifest.json` at the root of the pack.',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+function renderReadme(report, manifest) {
+  const { metadata, summary } = report;
+  return [
+    `# Compliance evidence: ${manifest.organization}`,
+    '',
+    `Generated ${manifest.generatedAt} by ${manifest.generator} from the audit results in \`${manifest.auditFile.copy}\`,`,
+    `collected ${manifest.auditDate}.${metadata.repositories ? ` Limited to: ${metadata.repositories.join(', ')}.` : ''}`,
+    '',
+    `Overall score: ${summary.overallScore.toFixed(1)}%`,
+    '',
+    ...Object.entries(summary.frameworkScores).map(([code, score]) => `- ${code} (${report.results[code].name}): ${score.toFixed(1)}%`),
+    '',
+    'Each framework has a folder per control holding `narrative.md` (what was checked and the outcome),',
+    '`checks.json` and the audit data the checks were scored from. `compliance-report.json` is the full report.',
+    '',
+    'To verify that no file changed since the pack was generated, compare each file against the SHA-256 in',
+    '`manifest.json`, or run `sha256sum -c SHA256SUMS` in this folder.',
+    '',
+  ].join('\n');
+}
+
+async function zipDirectory(directory, file) {
+  await new Promise((resolve, reject) => {
+    const output = createWriteStream(file);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.directory(directory, path.basename(directory));
+    archive.finalize();
+  });
+}
+
+/**
+ * Write an evidence pack under `dir` and zip it. `audit` is the audit
+ * results metadata; `controls` carry the framework, control definition and
+ * score, the per-repository outcomes and the evidence artifacts
+ * (file name → { description, data }).
+ */
+export async function writeEvidencePack(dir, { report, auditFile, audit, controls, passingScore, generator }) {
+  const { metadata } = report;
+  const name = `compliance-evidence-${slug(audit.organization)}-${metadata.checkDate.replace(/[:.]/g, '-')}`;
+  const root = path.join(dir, name);
+
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.mkdir(root);
+  } catch (error) {
+    throw new Error(`Could not create evidence pack ${root}: ${error.message}`);
+  }
+
+  const artifacts = [];
+  const write = async (file, content, description) => {
+    const target = path.join(root, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+    artifacts.push({ path: file.split(path.sep).join('/'), sha256: sha256(content), bytes: Buffer.byteLength(content), description });
+  };
+
+  const auditContent = await fs.readFile(auditFile);
+  const auditCopy = path.join('source', path.basename(auditFile));
+  await write(auditCopy, auditContent, 'The audit results every control was scored from, as read');
+  await write('compliance-report.json', serialize(report), 'The compliance report these controls belong to');
+
+  const positions = new Map();
+  for (const control of controls) {
+    const position = (positions.get(control.framework.code) || 0) + 1;
+    positions.set(control.framework.code, position);
+    const folder = path.join(control.framework.code, `${String(position).padStart(2, '0')}-${slug(control.name)}`);
+
+    const files = Object.entries(control.artifacts).map(([file, { description }]) => ({ file, description }));
+    for (const [file, { description, data }] of Object.entries(control.artifacts)) {
+      await write(path.join(folder, file), serialize({
+        framework: control.framework.code,
+        control: control.name,
+        auditDate: audit.auditDate,
+        generatedAt: metadata.checkDate,
+        ...data,
+      }), `${control.name}: ${description}`);
+    }
+
+    await write(path.join(folder, 'checks.json'), serialize({
+      framework: control.framework.code,
+      control: control.name,
+      weight: control.definition.weight,
+      score: control.score.score,
+      passed: control.score.score >= passingScore,
+      checks: control.definition.checks.map((check, index) => ({ check, result: control.score.details[index] })),
+      repositories: control.repositories,
+    }), `${control.name}: check definitions, results and per-repository outcomes`);
+
+    await write(path.join(folder, 'narrative.md'), renderNarrative(control, {
+      passingScore,
+      audit,
+      checkDate: metadata.checkDate,
+      artifacts: files,
+    }), `${control.name}: narrative`);
+  }
+
+  const manifest = {
+    generatedAt: metadata.checkDate,
+    generator,
+    organization: audit.organization,
+    auditDate: audit.auditDate,
+    auditFile: { path: auditFile, copy: auditCopy.split(path.sep).join('/'), sha256: sha256(auditContent) },
+    frameworks: metadata.frameworks,
+    repositories: metadata.repositories,
+    hashAlgorithm: 'sha256',
+    artifacts,
+  };
+
+  // Written last, so the manifest and checksums cover everything but themselves
+  const readme = renderReadme(report, manifest);
+  await write('README.md', readme, 'How the pack is organized and verified');
+  await fs.writeFile(path.join(root, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  await fs.writeFile(path.join(root, 'SHA256SUMS'), artifacts.map(({ path: file, sha256: hash }) => `${hash}  ${file}`).join('\n') + '\n');
+
+  const zip = `${root}.zip`;
+  await zipDirectory(root, zip);
+
+  return { directory: root, zip, sha256: sha256(await fs.readFile(zip)), artifacts: artifacts.length };
+}
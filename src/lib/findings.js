@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import { readConfigFile } from './config-file.js';
+import { globToRegExp } from './scope.js';
+
+/**
+ * Findings are the three alert sources normalized into one shape: a single
+ * severity scale, a category, a stable fingerprint, locations, timestamps and
+ * a state of open, fixed or dismissed. Alerts describing the same problem are
+ * merged, so one vulnerable package in several manifests or one rule reported
+ * by several analysis tools is one finding.
+ */
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// Code scanning says 'medium', Dependabot 'MODERATE' (GraphQL) or 'medium' (REST)
+const SEVERITY_ALIASES = { moderate: 'medium' };
+
+export function normalizeSeverity(value) {
+  const severity = String(value || '').toLowerCase();
+  const normalized = SEVERITY_ALIASES[severity] || severity;
+  return SEVERITIES.includes(normalized) ? normalized : 'unknown';
+}
+
+const mostSevere = (severities) =>
+  SEVERITIES.find(severity => severities.includes(severity)) || 'unknown';
+
+/**
+ * Secret scanning alerts carry no severity, so it comes from the secret type.
+ * The first rule with a matching type glob wins. A policy file has the same
+ * shape:
+ *
+ *   default: high
+ *   rules:
+ *     - types: ['aws_*', '*_private_key']
+ *       severity: critical
+ */
+export const DEFAULT_SECRET_SEVERITY_POLICY = {
+  default: 'high',
+  rules: [
+    // Test-mode and sandbox credentials can't reach production data
+    { types: ['*_test_*', '*_sandbox_*'], severity: 'medium' },
+    // Credentials that grant cloud, source code or signing access
+    {
+      types: [
+        'aws_*', 'azure_*', 'gcp_*', 'google_cloud_*', 'alibaba_cloud_*', 'github_*',
+        'gitlab_*', '*_private_key', '*_ssh_key', 'npm_*', 'pypi_*', 'nuget_*',
+      ],
+      severity: 'critical',
+    },
+  ],
+};
+
+export async function loadSecretSeverityPolicy(file) {
+  const config = await readConfigFile(file);
+  const policy = { default: config?.default || DEFAULT_SECRET_SEVERITY_POLICY.default, rules: config?.rules || [] };
+
+  if (!SEVERITIES.includes(policy.default)) {
+    throw new Error(`Secret severity policy ${file}: default must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (!Array.isArray(policy.rules)) {
+    throw new Error(`Secret severity policy ${file}: 'rules' must be a list`);
+  }
+
+  policy.rules.forEach((rule, index) => {
+    if (!Array.isArray(rule?.types) || rule.types.length === 0 || !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Secret severity policy ${file}: rule ${index + 1} needs a list of 'types' and a 'severity' (${SEVERITIES.join(', ')})`);
+    }
+    rule.types.forEach(glob => {
+      try {
+        globToRegExp(String(glob));
+      } catch (error) {
+        throw new Error(`Secret severity policy ${file}: rule ${index + 1} type ${error.message}`);
+      }
+    });
+  });
+
+  return policy;
+}
+
+export function secretSeverity(secretType, policy = DEFAULT_SECRET_SEVERITY_POLICY) {
+  const rule = policy.rules.find(r => r.types.some(glob => globToRegExp(glob).test(secretType || '')));
+  return rule ? rule.severity : policy.default;
+}
+
+// Every source's closed states collapse to fixed or dismissed
+function normalizeState(category, alert) {
+  if (alert.state === 'open' || alert.state === undefined) return 'open';
+  if (category === 'secret') return alert.resolution === 'revoked' ? 'fixed' : 'dismissed';
+  if (alert.state === 'fixed' || alert.state === 'closed') return 'fixed';
+  return 'dismissed';
+}
+
+export const isOpenAlert = (category, alert) => normalizeState(category, alert) === 'open';
+
+// What makes two alerts the same problem, per category
+const IDENTITY = {
+  code: alert => ({
+    key: [alert.rule, alert.path, alert.startLine ?? ''],
+    title: alert.description || alert.rule,
+    severity: normalizeSeverity(alert.severity),
+    cwes: alert.cwes || [],
+    // Every instance when they were collected, otherwise the most recent one
+    locations: (alert.instances || [alert])
+      .filter(instance => instance.path)
+      .map(({ path, startLine, endLine }) => ({ path, startLine: startLine ?? null, endLine: endLine ?? null })),
+    ref: { number: alert.number, tool: alert.tool, toolVersion: alert.toolVersion, category: alert.category },
+  }),
+  secret: (alert, policy) => ({
+    // GitHub already raises one alert per distinct secret
+    key: [alert.secretType, alert.number],
+    title: alert.secretTypeDisplayName || alert.secretType,
+    severity: secretSeverity(alert.secretType, policy),
+    locations: (alert.locations || [])
+      .map(({ path, startLine, endLine, url }) => (path ? { path, startLine, endLine } : { url })),
+    details: {
+      secretType: alert.secretType,
+      validity: alert.validity || 'unknown',
+      publiclyLeaked: alert.publiclyLeaked ?? null,
+      multiRepo: alert.multiRepo ?? null,
+      pushProtectionBypassed: alert.pushProtectionBypassed ?? null,
+    },
+    ref: { number: alert.number },
+  }),
+  dependency: alert => ({
+    key: [alert.ecosystem?.toLowerCase(), alert.package, alert.advisory || alert.summary],
+    title: `${alert.package}: ${alert.summary}`,
+    severity: normalizeSeverity(alert.severity),
+    cwes: alert.cwes || [],
+    locations: alert.manifest ? [{ path: alert.manifest }] : [],
+    details: {
+      package: alert.package,
+      ecosystem: alert.ecosystem,
+      advisory: alert.advisory || null,
+      cveId: alert.cveId || null,
+      vulnerableVersionRange: alert.vulnerableVersionRange || null,
+      firstPatchedVersion: alert.firstPatchedVersion || null,
+      fixAvailable: Boolean(alert.firstPatchedVersion),
+      scope: alert.scope || null,
+      epssPercentile: alert.epss?.percentile ?? null,
+    },
+    ref: { id: alert.id, manifest: alert.manifest, scope: alert.scope || null, fixPullRequest: alert.fixPullRequest || null },
+  }),
+};
+
+// When an alert left the open state, whichever alert source it came from
+export const closedAt = (alert) =>
+  alert.fixedAt || alert.dismissedAt || alert.resolvedAt || (alert.state !== 'open' ? alert.updatedAt : null);
+
+const latest = (dates) => dates.filter(Boolean).sort().pop() || null;
+const earliest = (dates) => dates.filter(Boolean).sort()[0] || null;
+
+export const fingerprint = (repoName, category, key) =>
+  crypto.createHash('sha256').update(JSON.stringify([repoName, category, ...key])).digest('hex').slice(0, 32);
+
+// A finding stays open while any of its alerts is. Once all are closed it is
+// fixed if any of them was fixed, and closed when the last one closed.
+function mergeAlerts(category, group) {
+  const [first] = group;
+  const states = group.map(({ state }) => state);
+  const closed = group.filter(({ state }) => state !== 'open').map(({ alert }) => alert);
+  const state = states.includes('open') ? 'open' : states.includes('fixed') ? 'fixed' : 'dismissed';
+  const locations = [];
+
+  // Merged alerts describe the same advisory, though not every source fills in
+  // every field, and a package can be a runtime dependency in one manifest only
+  const details = {};
+  group.forEach(identity => Object.entries(identity.details || {}).forEach(([key, value]) => {
+    details[key] ??= value;
+  }));
+  if (group.some(identity => identity.details?.scope === 'runtime')) {
+    details.scope = 'runtime';
+  }
+
+  group.flatMap(identity => identity.locations).forEach(location => {
+    if (!locations.some(l => l.path === location.path && l.startLine === location.startLine && l.url === location.url)) {
+      locations.push(location);
+    }
+  });
+
+  return {
+    fingerprint: first.id,
+    category,
+    severity: mostSevere(group.map(({ severity }) => severity)),
+    state,
+    resolution: state === 'open' ? null : closed.map(a => a.dismissedReason || a.resolution).find(Boolean) || null,
+    title: first.title,
+    cwes: [...new Set(group.flatMap(identity => identity.cwes || []))],
+    locations,
+    ...(Object.keys(details).length > 0 && { details }),
+    createdAt: earliest(group.map(({ alert }) => alert.createdAt)),
+    updatedAt: latest(group.map(({ alert }) => alert.updatedAt)),
+    closedAt: state === 'open' ? null : latest(closed.map(closedAt)),
+    alerts: group.map(({ ref, state: alertState }) => ({ ...ref, state: alertState })),
+  };
+}
+
+/**
+ * Normalize and de-duplicate a repository's alerts into findings.
+ */
+export function buildFindings(repoAudit, policy = DEFAULT_SECRET_SEVERITY_POLICY) {
+  const findings = [];
+
+  Object.entries(IDENTITY).forEach(([category, identify]) => {
+    const groups = new Map();
+
+    (repoAudit.alerts?.[category] || []).forEach(alert => {
+      const identity = identify(alert, policy);
+      const id = fingerprint(repoAudit.name, category, identity.key);
+
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push({ ...identity, id, alert, state: normalizeState(category, alert) });
+    });
+
+    groups.forEach(group => findings.push(mergeAlerts(category, group)));
+  });
+
+  return findings;
+}
+
+/**
+ * Resolution metrics for a repository's findings: open and closed counts,
+ * closure rate, dismissal reasons and mean time to resolve (in days).
+ */
+export function findingMetrics(findings) {
+  const closedFindings = findings.filter(f => f.state !== 'open');
+  const dismissedFindings = closedFindings.filter(f => f.state === 'dismissed');
+
+  // Mean time to resolve, in days, over findings with a known close date
+  const resolutionTimes = closedFindings
+    .filter(f => f.closedAt)
+    .map(f => (new Date(f.closedAt) - new Date(f.createdAt)) / (1000 * 60 * 60 * 24));
+
+  return {
+    totalAlerts: findings.length,
+    openAlerts: findings.length - closedFindings.length,
+    closedAlerts: closedFindings.length,
+    dismissedAlerts: dismissedFindings.length,
+    fixedAlerts: closedFindings.length - dismissedFindings.length,
+    closureRate: findings.length > 0 ? closedFindings.length / findings.length : 0,
+    // Open vulnerabilities that a dependency upgrade would already fix
+    patchAvailableAlerts: findings.filter(f => f.state === 'open' && f.details?.fixAvailable).length,
+    // Open secrets the provider confirms still work
+    activeSecretAlerts: findings.filter(f => f.state === 'open' && f.details?.validity === 'active').length,
+    dismissalReasons: dismissedFindings.reduce((reasons, finding) => {
+      const reason = finding.resolution || 'unspecified';
+      reasons[reason] = (reasons[reason] || 0) + 1;
+      return reasons;
+    }, {}),
+    meanTimeToResolve: resolutionTimes.length > 0
+      ? resolutionTimes.reduce((a, b) => a + b, 0) / resolutionTimes.length
+      : 0,
+  };
+}
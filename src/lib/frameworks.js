@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readConfigFile } from './config-file.js';
+import { assertValid } from './schema.js';
+
+/**
+ * Compliance frameworks are data: YAML or JSON files in the format of
+ * schemas/compliance-framework.schema.json. The built-in ones live in
+ * frameworks/; --framework-dir and --framework-file add to them, and a
+ * custom framework with the code of a built-in one replaces it.
+ */
+
+export const BUILT_IN_FRAMEWORK_DIR = fileURLToPath(new URL('../../frameworks/', import.meta.url));
+
+const FRAMEWORK_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// A string pattern is matched case-insensitively, as the built-in frameworks always were
+function compilePattern(pattern, file, location) {
+  const { regex, flags } = typeof pattern === 'string' ? { regex: pattern, flags: 'i' } : pattern;
+  try {
+    return new RegExp(regex, flags || '');
+  } catch (error) {
+    throw new Error(`Framework ${file}: ${location} has an invalid pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Read and validate one framework file. Check patterns come back as RegExps.
+ */
+export async function loadFrameworkFile(file) {
+  const definition = await readConfigFile(file);
+  assertValid('framework', definition, file);
+
+  for (const [controlName, control] of Object.entries(definition.controls)) {
+    control.checks.forEach((check, index) => {
+      if (check.pattern !== undefined) {
+        check.pattern = compilePattern(check.pattern, file, `control '${controlName}' check ${index + 1}`);
+      }
+    });
+  }
+
+  return { ...definition, source: file };
+}
+
+/**
+ * Every framework file in a directory, in file name order.
+ */
+export async function loadFrameworkDir(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    throw new Error(`Could not read framework directory ${dir}: ${error.message}`);
+  }
+
+  const files = entries
+    .filter(entry => entry.isFile() && FRAMEWORK_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map(entry => path.join(dir, entry.name))
+    .sort();
+
+  const frameworks = [];
+  for (const file of files) {
+    frameworks.push(await loadFrameworkFile(file));
+  }
+  return frameworks;
+}
+
+/**
+ * The built-in frameworks plus any custom ones, keyed by code. Two custom
+ * definitions of the same code are a mistake rather than an override.
+ */
+export async function loadFrameworks({ dirs = [], files = [] } = {}) {
+  const frameworks = new Map();
+  // Built-ins are recorded by name, not by where this install happens to live
+  for (const framework of await loadFrameworkDir(BUILT_IN_FRAMEWORK_DIR)) {
+    frameworks.set(framework.code, { ...framework, source: `built-in:${path.basename(framework.source)}` });
+  }
+
+  const custom = [];
+  for (const dir of dirs) {
+    custom.push(...await loadFrameworkDir(dir));
+  }
+  for (const file of files) {
+    custom.push(await loadFrameworkFile(file));
+  }
+
+  const customSources = new Map();
+  for (const framework of custom) {
+    if (customSources.has(framework.code)) {
+      throw new Error(`Framework ${framework.code} is defined in both ${customSources.get(framework.code)} and ${framework.source}`);
+    }
+    customSources.set(framework.code, framework.source);
+    frameworks.set(framework.code, framework);
+  }
+
+  return frameworks;
+}
@@ -0,0 +1,76 @@
+import chalk from 'chalk';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const TEXT_STYLES = {
+  debug: text => chalk.gray(text),
+  info: text => text,
+  warn: text => chalk.yellow(`Warning: ${text}`),
+  error: text => chalk.red(`Error: ${text}`),
+};
+
+/**
+ * Leveled logger emitting named events. In json format every event at or
+ * above the level is one JSON object per line on stdout, for log pipelines.
+ * Text output is for someone watching a terminal, where spinners and the
+ * summary already report progress, so info events are only written as JSON
+ * and the rest are written as their `message` on stderr.
+ */
+export function createLogger({ format = 'text', level = 'info', fields = {} } = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  const write = (eventLevel, event, data = {}) => {
+    if (LOG_LEVELS.indexOf(eventLevel) < threshold) return;
+
+    if (format === 'json') {
+      process.stdout.write(`${JSON.stringify({ time: new Date().toISOString(), level: eventLevel, event, ...fields, ...data })}\n`);
+    } else if (eventLevel !== 'info' && data.message) {
+      process.stderr.write(`${TEXT_STYLES[eventLevel](data.message)}\n`);
+    }
+  };
+
+  return {
+    json: format === 'json',
+    debug: (event, data) => write('debug', event, data),
+    info: (event, data) => write('info', event, data),
+    warn: (event, data) => write('warn', event, data),
+    error: (event, data) => write('error', event, data),
+    // Every event from the child carries these fields too (e.g. the organization)
+    child: (more) => createLogger({ format, level, fields: { ...fields, ...more } }),
+  };
+}
+
+/**
+ * One debug event per API request with its status and duration. Failed
+ * requests are logged the same way: a 404 is often the answer (a feature is
+ * off), and the failures that cost data are reported as collection errors.
+ */
+export function installRequestLogging(octokit, log) {
+  octokit.hook.wrap('request', async (request, options) => {
+    const started = Date.now();
+    const { method, url } = octokit.request.endpoint.parse(options);
+
+    try {
+      const response = await request(options);
+      log.debug('api.request', {
+        method,
+        url,
+        status: response.status,
+        durationMs: Date.now() - started,
+        message: `${method} ${url} ${response.status}`,
+      });
+      return response;
+    } catch (error) {
+      log.debug('api.request', {
+        method,
+        url,
+        status: error.status ?? null,
+        durationMs: Date.now() - started,
+        error: error.message,
+        message: `${method} ${url} ${error.status ?? 'failed'}: ${error.message}`,
+      });
+      throw error;
+    }
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * CWE → OWASP Top 10 category mapping, from the "List of Mapped CWEs" OWASP
+ * publishes for each category (owasp.org/Top10/2021, owasp.org/Top10/2025).
+ * A CWE belongs to one category per edition; where OWASP lists one twice
+ * (CWE-259 is under both A02 and A07 in 2021) it is kept with the category
+ * that describes it best. Check the lists against owasp.org when OWASP
+ * revises them.
+ */
+
+const BROKEN_ACCESS_CONTROL = [
+  22, 23, 35, 59, 200, 201, 219, 264, 275, 276, 284, 285, 352, 359, 377, 402, 425, 441, 497, 538,
+  540, 548, 552, 566, 601, 639, 651, 668, 706, 862, 863, 913, 922, 1275,
+];
+const CRYPTOGRAPHIC_FAILURES = [
+  261, 296, 310, 319, 321, 322, 323, 324, 325, 326, 327, 328, 329, 330, 331, 335, 336, 337, 338, 340,
+  347, 523, 720, 757, 759, 760, 780, 818, 916,
+];
+const INJECTION = [
+  20, 74, 75, 77, 78, 79, 80, 83, 87, 88, 89, 90, 91, 93, 94, 95, 96, 97, 98, 99, 100, 113, 116, 138,
+  184, 470, 471, 564, 610, 643, 644, 652, 917,
+];
+const INSECURE_DESIGN = [
+  73, 183, 209, 213, 235, 256, 257, 266, 269, 280, 311, 312, 313, 316, 419, 430, 434, 444, 451, 472,
+  501, 522, 525, 539, 579, 598, 602, 642, 646, 650, 653, 656, 657, 799, 807, 840, 841, 927, 1021, 1173,
+];
+const SECURITY_MISCONFIGURATION = [
+  2, 11, 13, 15, 16, 260, 315, 520, 526, 537, 541, 547, 611, 614, 756, 776, 942, 1004, 1032, 1174,
+];
+const VULNERABLE_COMPONENTS = [937, 1035, 1104];
+const AUTHENTICATION_FAILURES = [
+  255, 259, 287, 288, 290, 294, 295, 297, 300, 302, 304, 306, 307, 346, 384, 521, 613, 620, 640, 798,
+  940, 1216,
+];
+const INTEGRITY_FAILURES = [345, 353, 426, 494, 502, 565, 784, 829, 830, 915];
+const LOGGING_FAILURES = [117, 223, 532, 778];
+const SSRF = [918];
+
+// Listed in rank order, which also settles findings whose CWEs fall in several categories.
+// The category marked `dependencies` is where Dependabot findings go when no CWE maps.
+export const OWASP_TOP_10 = {
+  2021: [
+    { id: 'A01:2021', name: 'Broken Access Control', cwes: BROKEN_ACCESS_CONTROL },
+    { id: 'A02:2021', name: 'Cryptographic Failures', cwes: CRYPTOGRAPHIC_FAILURES },
+    { id: 'A03:2021', name: 'Injection', cwes: INJECTION },
+    { id: 'A04:2021', name: 'Insecure Design', cwes: INSECURE_DESIGN },
+    { id: 'A05:2021', name: 'Security Misconfiguration', cwes: SECURITY_MISCONFIGURATION },
+    { id: 'A06:2021', name: 'Vulnerable and Outdated Components', cwes: VULNERABLE_COMPONENTS, dependencies: true },
+    { id: 'A07:2021', name: 'Identification and Authentication Failures', cwes: AUTHENTICATION_FAILURES },
+    { id: 'A08:2021', name: 'Software and Data Integrity Failures', cwes: INTEGRITY_FAILURES },
+    { id: 'A09:2021', name: 'Security Logging and Monitoring Failures', cwes: LOGGING_FAILURES },
+    { id: 'A10:2021', name: 'Server-Side Request Forgery (SSRF)', cwes: SSRF },
+  ],
+  2025: [
+    {
+      id: 'A01:2025',
+      name: 'Broken Access Control',
+      cwes: [
+        22, 23, 36, 59, 61, 65, 200, 201, 219, 276, 281, 282, 283, 284, 285, 352, 359, 377, 379, 402,
+        424, 425, 441, 497, 538, 540, 548, 552, 566, 601, 639, 645, 662, 668, 706, 862, 863, 918, 922, 1275,
+      ],
+    },
+    {
+      id: 'A02:2025',
+      name: 'Security Misconfiguration',
+      cwes: [5, 11, 13, 15, 16, 260, 315, 489, 526, 547, 611, 614, 776, 942, 1004, 1174],
+    },
+    {
+      id: 'A03:2025',
+      name: 'Software Supply Chain Failures',
+      cwes: [477, 1035, 1104, 1329, 1357, 1395],
+      dependencies: true,
+    },
+    {
+      id: 'A04:2025',
+      name: 'Cryptographic Failures',
+      cwes: [
+        261, 296, 319, 320, 321, 322, 323, 324, 325, 326, 327, 328, 329, 330, 331, 332, 334, 335, 336, 337,
+        338, 340, 342, 347, 523, 757, 759, 760, 780, 916, 1240, 1241,
+      ],
+    },
+    {
+      id: 'A05:2025',
+      name: 'Injection',
+      cwes: [
+        20, 74, 76, 77, 78, 79, 80, 83, 86, 88, 89, 90, 91, 93, 94, 95, 96, 97, 98, 99, 103, 104, 112,
+        113, 114, 115, 116, 129, 159, 470, 493, 500, 564, 610, 643, 644, 917,
+      ],
+    },
+    {
+      id: 'A06:2025',
+      name: 'Insecure Design',
+      cwes: [
+        73, 183, 256, 266, 269, 286, 311, 312, 313, 316, 362, 382, 419, 434, 436, 444, 451, 454, 472, 501,
+        522, 525, 539, 598, 602, 628, 642, 646, 650, 653, 656, 657, 676, 693, 799, 807, 841, 1021, 1022, 1125,
+      ],
+    },
+    {
+      id: 'A07:2025',
+      name: 'Authentication Failures',
+      cwes: [
+        258, 259, 287, 288, 289, 290, 291, 293, 294, 295, 297, 298, 299, 300, 302, 303, 304, 305, 306, 307,
+        308, 309, 346, 350, 384, 521, 613, 620, 640, 798, 940, 941, 1390, 1391, 1392, 1393,
+      ],
+    },
+    {
+      id: 'A08:2025',
+      name: 'Software or Data Integrity Failures',
+      cwes: [345, 353, 426, 427, 494, 502, 506, 509, 565, 784, 829, 830, 915, 926],
+    },
+    {
+      id: 'A09:2025',
+      name: 'Security Logging and Alerting Failures',
+      cwes: [117, 221, 223, 532, 778],
+    },
+    {
+      id: 'A10:2025',
+      name: 'Mishandling of Exceptional Conditions',
+      cwes: [
+        209, 215, 234, 235, 248, 252, 274, 280, 369, 390, 391, 394, 396, 397, 460, 476, 478, 484, 550, 636,
+        703, 754, 755, 756,
+      ],
+    },
+  ],
+};
+
+// CWE number → category, per edition. A CWE listed twice is a mistake in the lists above.
+const CATEGORY_BY_CWE = Object.fromEntries(Object.entries(OWASP_TOP_10).map(([edition, categories]) => {
+  const byCwe = new Map();
+  categories.forEach(category => category.cwes.forEach(cwe => {
+    if (byCwe.has(cwe)) {
+      throw new Error(`CWE-${cwe} is mapped to both ${byCwe.get(cwe).id} and ${category.id} in OWASP Top 10 ${edition}`);
+    }
+    byCwe.set(cwe, category);
+  }));
+  return [edition, byCwe];
+}));
+
+export const editionOf = (categoryId) => categoryId.split(':')[1];
+
+// Secret scanning alerts carry no CWEs
+export const attributable = (finding) =>
+  finding.state === 'open' && (finding.category === 'code' || finding.category === 'dependency');
+
+// Code scanning tags and advisories both come through as 'CWE-89'
+const cweNumber = (cwe) => Number(String(cwe).match(/^CWE-0*(\d+)$/i)?.[1]) || null;
+
+/**
+ * The one category a finding belongs to: the highest-ranked of those its
+ * CWEs map to, or null when none of them map.
+ */
+export function owaspCategory(cwes = [], edition) {
+  const byCwe = CATEGORY_BY_CWE[edition];
+  const categories = cwes.map(cwe => byCwe.get(cweNumber(cwe))).filter(Boolean);
+  if (categories.length === 0) return null;
+
+  const ranked = OWASP_TOP_10[edition];
+  return categories.reduce((best, category) => (ranked.indexOf(category) < ranked.indexOf(best) ? category : best));
+}
+
+/**
+ * The one category a finding belongs to, or null. Code scanning findings go
+ * by their rule's CWEs and Dependabot findings by their advisory's; an
+ * advisory whose CWEs map nowhere (or that has none) is still a vulnerable
+ * dependency, so it goes to the edition's components category.
+ */
+export function findingCategory(finding, edition) {
+  const category = owaspCategory(finding.cwes, edition);
+  if (category || finding.category !== 'dependency') return category;
+  return OWASP_TOP_10[edition].find(candidate => candidate.dependencies);
+}
+
+/**
+ * Attribute open code scanning and Dependabot findings to categories. Every
+ * finding lands in exactly one category or in `unmapped`.
+ */
+export function attributeFindings(repositories, edition, nameOf = (repo) => repo.name) {
+  const counts = Object.fromEntries(OWASP_TOP_10[edition].map(category => [category.id, 0]));
+  const unmapped = [];
+
+  repositories.forEach(repo => repo.findings
+    .filter(attributable)
+    .forEach(finding => {
+      const category = findingCategory(finding, edition);
+      if (category) {
+        counts[category.id]++;
+        return;
+      }
+      unmapped.push({
+        repository: nameOf(repo),
+        fingerprint: finding.fingerprint,
+        category: finding.category,
+        title: finding.title,
+        cwes: finding.cwes || [],
+      });
+    }));
+
+  return { edition, counts, unmapped };
+}
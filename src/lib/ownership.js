@@ -0,0 +1,58 @@
+// Where GitHub looks for CODEOWNERS, in the order it looks
+export const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Owners named in a CODEOWNERS file. Teams are written @org/team and users
+ * @login; email owners are kept with the users. The owners of the `*` rule
+ * own everything no later rule claims, so they are reported separately.
+ */
+export function parseCodeowners(content) {
+  const teams = new Set();
+  const users = new Set();
+  let defaultOwners = [];
+
+  content.split(/\r?\n/).forEach(line => {
+    const [pattern, ...owners] = line.replace(/#.*$/, '').trim().split(/\s+/);
+    if (!pattern || owners.length === 0) return;
+
+    owners.forEach(owner => {
+      if (/^@[^/]+\/.+/.test(owner)) teams.add(owner.slice(1));
+      else users.add(owner.replace(/^@/, ''));
+    });
+
+    // The last matching rule wins, so a later `*` replaces an earlier one
+    if (pattern === '*') defaultOwners = owners.map(owner => owner.replace(/^@/, ''));
+  });
+
+  return { teams: [...teams], users: [...users], defaultOwners };
+}
+
+/**
+ * Open findings grouped by owning team and criticality tier, worst groups
+ * first, for reports that route remediation to owners. Repositories with no
+ * owner or tier (including results from before ownership was collected) are
+ * grouped as 'unowned' and 'untiered'.
+ */
+export function groupByOwnerAndTier(repositories) {
+  const groups = new Map();
+
+  repositories.forEach(repo => {
+    const owner = repo.ownership?.owner || 'unowned';
+    const tier = repo.criticality || 'untiered';
+    const key = JSON.stringify([owner, tier]);
+
+    if (!groups.has(key)) {
+      groups.set(key, { owner, tier, repositories: 0, openFindings: 0, criticalFindings: 0, highFindings: 0 });
+    }
+
+    const group = groups.get(key);
+    const open = repo.findings.filter(f => f.state === 'open');
+    group.repositories++;
+    group.openFindings += open.length;
+    group.criticalFindings += open.filter(f => f.severity === 'critical').length;
+    group.highFindings += open.filter(f => f.severity === 'high').length;
+  });
+
+  return [...groups.values()].sort((a, b) =>
+    b.criticalFindings - a.criticalFindings || b.highFindings - a.highFindings || b.openFindings - a.openFindings);
+}
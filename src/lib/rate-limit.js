@@ -0,0 +1,84 @@
+// Keep a few requests in reserve so in-flight workers don't tip us over the limit
+const RATE_LIMIT_RESERVE = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// GraphQL has its own rate limit bucket; everything else we call is "core"
+const resourceFor = (url = '') => (url.startsWith('/graphql') ? 'graphql' : 'core');
+
+/**
+ * Throttle handlers for @octokit/plugin-throttling. Primary and secondary
+ * rate limits are retried (after the server-provided retry-after) up to
+ * `maxRetries` times, so a repo only fails once the limit keeps biting.
+ */
+export function createThrottleOptions({ log, maxRetries = 5 }) {
+  const onLimit = (kind) => (retryAfter, requestOptions, _octokit, retryCount) => {
+    const { method, url } = requestOptions;
+
+    if (retryCount >= maxRetries) {
+      log.error('api.retry-exhausted', {
+        limit: kind.toLowerCase(),
+        method,
+        url,
+        retryCount,
+        message: `${kind} rate limit: giving up on ${method} ${url} after ${retryCount} retries`,
+      });
+      return false;
+    }
+
+    log.warn('api.retry', {
+      limit: kind.toLowerCase(),
+      method,
+      url,
+      retryCount: retryCount + 1,
+      retryAfter,
+      message: `${kind} rate limit hit for ${method} ${url}, retrying in ${retryAfter}s`,
+    });
+    return true;
+  };
+
+  return {
+    onRateLimit: onLimit('Primary'),
+    onSecondaryRateLimit: onLimit('Secondary'),
+  };
+}
+
+/**
+ * Pause every request once `x-ratelimit-remaining` runs low, until the window
+ * resets. The throttling plugin only reacts to 403/429 responses; this keeps
+ * parallel workers from walking into the limit in the first place.
+ */
+export function installRateLimitGate(octokit, { log, reserve = RATE_LIMIT_RESERVE }) {
+  const resumeAt = { core: 0, graphql: 0 };
+
+  octokit.hook.before('request', async (requestOptions) => {
+    const resource = resourceFor(requestOptions.url);
+    const wait = resumeAt[resource] - Date.now();
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  });
+
+  octokit.hook.after('request', (response, requestOptions) => {
+    const remaining = Number(response.headers['x-ratelimit-remaining']);
+    const reset = Number(response.headers['x-ratelimit-reset']);
+
+    if (Number.isNaN(remaining) || Number.isNaN(reset) || remaining > reserve) {
+      return;
+    }
+
+    const resource = resourceFor(requestOptions.url);
+    const until = reset * 1000;
+
+    if (until > resumeAt[resource]) {
+      resumeAt[resource] = until;
+      log.warn('api.rate-limit-pause', {
+        resource,
+        remaining,
+        resumeAt: new Date(until).toISOString(),
+        message: `Only ${remaining} ${resource} API requests left, pausing until ${new Date(until).toLocaleTimeString()}`,
+      });
+    }
+  });
+}
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import path from 'path';
+
+/**
+ * Record and replay GitHub API responses. Every REST and GraphQL request made
+ * through an Octokit instance is keyed by method, URL (relative to the API
+ * base URL) and body, and stored as one JSON file per distinct request.
+ * Replaying serves those files back and never touches the network, so an
+ * audit can be re-run offline against a fixed snapshot of an organization.
+ */
+
+// App token exchanges carry credentials and are not part of what an audit reads
+const NOT_RECORDED = /^\/app\//;
+
+function requestKey(octokit, options) {
+  const { method, url, body } = octokit.request.endpoint.parse(options);
+  const baseUrl = options.baseUrl.replace(/\/+$/, '');
+  const relative = url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url;
+  return { method, url: relative, body: typeof body === 'string' ? JSON.parse(body) : body };
+}
+
+function fixtureFile(dir, key) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(key)).digest('hex').slice(0, 16);
+  const slug = `${key.method}${key.url.split('?')[0]}`.replace(/[^a-z0-9]+/gi, '-').slice(0, 80);
+  return path.join(dir, `${slug}-${hash}.json`);
+}
+
+export async function installRecorder(octokit, dir) {
+  await fs.mkdir(dir, { recursive: true });
+
+  octokit.hook.wrap('request', async (request, options) => {
+    const key = requestKey(octokit, options);
+    const save = (response) => (NOT_RECORDED.test(key.url)
+      ? null
+      : fs.writeFile(fixtureFile(dir, key), JSON.stringify({ request: key, response }, null, 2)));
+
+    try {
+      const response = await request(options);
+      await save({ status: response.status, headers: response.headers, data: response.data });
+      return response;
+    } catch (error) {
+      // Error responses are data too (404 means a feature is off), so keep them
+      if (error.response) {
+        const { status, headers, data } = error.response;
+        await save({ status, headers, data });
+      }
+      throw error;
+    }
+  });
+}
+
+export function installReplay(octokit, dir) {
+  octokit.hook.wrap('request', async (request, options) => {
+    const key = requestKey(octokit, options);
+    const file = fixtureFile(dir, key);
+
+    let response;
+    try {
+      ({ response } = JSON.parse(await fs.readFile(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`No recorded response for ${key.method} ${key.url} in ${dir} (${path.basename(file)})`);
+    }
+
+    if (response.status >= 400) {
+      // Shaped like Octokit's RequestError, which is all the audit inspects
+      const error = new Error(response.data?.message || `HTTP ${response.status}`);
+      error.name = 'HttpError';
+      error.status = response.status;
+      error.response = { url: key.url, ...response };
+      throw error;
+    }
+
+    return { url: key.url, ...response };
+  });
+}
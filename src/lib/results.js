@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { assertValid, migrateAuditResults } from './schema.js';
+
+/**
+ * Read an audit results file, migrated to the current schema version and
+ * validated against it. Multi-organization results nest repositories under
+ * each organization; they are also exposed as one flat `repositories` list
+ * (tagged with their organization) so consumers read either shape.
+ */
+export async function readAuditResults(file) {
+  let auditData;
+  try {
+    auditData = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read audit results ${file}: ${error.message}`);
+  }
+
+  migrateAuditResults(auditData);
+  assertValid('audit', auditData, file);
+
+  if (Array.isArray(auditData.organizations) && !auditData.repositories) {
+    auditData.repositories = auditData.organizations
+      .filter(org => !org.error)
+      .flatMap(org => org.repositories.map(repo => ({ ...repo, organization: org.organization })));
+  }
+
+  return auditData;
+}
+
+/**
+ * When earlier audits of an organization (or set of organizations) ran, from
+ * the audit results files in a directory. Other JSON files, such as
+ * compliance reports, are passed over; unreadable ones go to `onSkip`.
+ */
+export async function readAuditHistory(dir, organization, onSkip = () => {}) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    throw new Error(`Could not read audit history ${dir}: ${error.message}`);
+  }
+
+  const dates = [];
+  for (const name of entries.filter(entry => path.extname(entry).toLowerCase() === '.json').sort()) {
+    const file = path.join(dir, name);
+    try {
+      // Only the metadata matters here, so there's no need to migrate or validate the rest
+      const { metadata } = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (metadata?.auditDate && metadata.organization === organization) {
+        dates.push(metadata.auditDate);
+      }
+    } catch (error) {
+      onSkip(file, error);
+    }
+  }
+  return dates;
+}
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { buildFindings, findingMetrics } from './findings.js';
+
+/**
+ * JSON Schemas for the files the tools exchange, published in schemas/.
+ * Each file records the schemaVersion it was written with; audit results
+ * from older releases are migrated step by step to the current version
+ * before they are validated, so consumers only ever see the current shape.
+ */
+
+export const AUDIT_RESULTS_SCHEMA_VERSION = 2;
+export const COMPLIANCE_REPORT_SCHEMA_VERSION = 1;
+
+const loadSchema = (name) => JSON.parse(fs.readFileSync(new URL(`../../schemas/${name}`, import.meta.url), 'utf8'));
+
+// Hand-written config files accept a value or a list of values, which takes union types
+const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true });
+const validators = {
+  audit: ajv.compile(loadSchema('audit-results.schema.json')),
+  compliance: ajv.compile(loadSchema('compliance-report.schema.json')),
+  framework: ajv.compile(loadSchema('compliance-framework.schema.json')),
+  scope: ajv.compile(loadSchema('scope-config.schema.json')),
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Results of one organization, at the top level or nested in multi-organization results
+const organizationResults = (auditData) => (Array.isArray(auditData.organizations)
+  ? auditData.organizations.filter(org => isObject(org) && !org.error)
+  : [auditData]);
+
+// The alert lists of a repository, as far as a partial or hand-edited file has them
+const alertLists = (alerts) => Object.fromEntries(Object.entries(isObject(alerts) ? alerts : {})
+  .map(([category, list]) => [category, Array.isArray(list) ? list.filter(isObject) : []]));
+
+// Each step upgrades results from the version it is keyed by to the next one
+const MIGRATIONS = {
+  // Version 1 is everything written before schemaVersion existed: findings were
+  // added to it over time, metrics only counted open and closed alerts, and
+  // collection errors weren't recorded at all. Files missing parts of that shape
+  // are migrated as far as they go and left for validation to report.
+  1: (auditData) => {
+    if (!isObject(auditData)) return;
+
+    auditData.collectionErrors ||= [];
+    organizationResults(auditData).forEach(results => {
+      results.collectionErrors ||= [];
+      if (!Array.isArray(results.repositories)) return;
+
+      results.repositories.filter(isObject).forEach(repo => {
+        repo.findings ||= buildFindings({ ...repo, alerts: alertLists(repo.alerts) });
+        if (Array.isArray(repo.findings)) {
+          repo.metrics = { ...repo.metrics, ...findingMetrics(repo.findings) };
+        }
+        repo.collectionErrors ||= [];
+      });
+    });
+  },
+};
+
+/**
+ * Bring audit results up to the current schema version, in place. Returns
+ * the version the results were written with.
+ */
+export function migrateAuditResults(auditData) {
+  const from = auditData?.metadata?.schemaVersion ?? 1;
+
+  if (from > AUDIT_RESULTS_SCHEMA_VERSION) {
+    throw new Error(`Audit results use schema version ${from}, newer than this release supports (${AUDIT_RESULTS_SCHEMA_VERSION}); upgrade the tools`);
+  }
+
+  for (let version = from; version < AUDIT_RESULTS_SCHEMA_VERSION; version++) {
+    MIGRATIONS[version](auditData);
+  }
+
+  const setVersion = (metadata) => {
+    if (metadata) metadata.schemaVersion = AUDIT_RESULTS_SCHEMA_VERSION;
+  };
+  setVersion(auditData?.metadata);
+  if (Array.isArray(auditData?.organizations)) {
+    organizationResults(auditData).forEach(results => setVersion(results.metadata));
+  }
+
+  return from;
+}
+
+/**
+ * Compliance reports have had one shape; those written before schemaVersion
+ * existed are version 1. Returns the version the report was written with.
+ */
+export function migrateComplianceReport(report) {
+  const from = report?.metadata?.schemaVersion ?? 1;
+
+  if (from > COMPLIANCE_REPORT_SCHEMA_VERSION) {
+    throw new Error(`Compliance report uses schema version ${from}, newer than this release supports (${COMPLIANCE_REPORT_SCHEMA_VERSION}); upgrade the tools`);
+  }
+  if (report?.metadata) {
+    report.metadata.schemaVersion = COMPLIANCE_REPORT_SCHEMA_VERSION;
+  }
+
+  return from;
+}
+
+// What Ajv's messages leave out for some keywords: the offending property, the allowed values
+const ERROR_DETAILS = {
+  additionalProperties: (error) => `${error.message} '${error.params.additionalProperty}'`,
+  unevaluatedProperties: (error) => `${error.message} '${error.params.unevaluatedProperty}'`,
+  enum: (error) => `${error.message}: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`,
+};
+
+// One line per problem, located by JSON pointer. if/then failures only repeat the errors beneath them.
+function describeErrors(errors) {
+  return [...new Set(errors
+    .filter(error => error.keyword !== 'if')
+    .map(error => {
+      const detail = ERROR_DETAILS[error.keyword]?.(error) ?? error.message;
+      return `${error.instancePath || '/'} ${detail}`;
+    }))];
+}
+
+/**
+ * Validate a document against its schema ('audit', 'compliance', 'framework' or 'scope'). Returns
+ * the problems found, which is empty when the document is valid.
+ */
+export function validateDocument(kind, document) {
+  const validate = validators[kind];
+  return validate(document) ? [] : describeErrors(validate.errors);
+}
+
+/**
+ * Throw with the first few problems, if there are any.
+ */
+export function assertValid(kind, document, file) {
+  const problems = validateDocument(kind, document);
+  if (problems.length === 0) return;
+
+  const shown = problems.slice(0, 10).map(problem => `  ${problem}`);
+  if (problems.length > shown.length) {
+    shown.push(`  ... and ${problems.length - shown.length} more`);
+  }
+
+  const label = { audit: 'audit results file', compliance: 'compliance report', framework: 'compliance framework', scope: 'scope config' }[kind];
+  throw new Error(`${file} is not a valid ${label} (run the validate command for the full list):\n${shown.join('\n')}`);
+}
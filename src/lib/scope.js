@@ -0,0 +1,195 @@
+import { readConfigFile } from './config-file.js';
+import { assertValid } from './schema.js';
+
+/**
+ * Scope rules decide which repositories an audit covers. A repository is in
+ * scope when it matches at least one `include` rule (or there are none) and
+ * no `exclude` rule. Every condition within a rule must hold; list values
+ * match when any entry does.
+ *
+ *   include:
+ *     - topics: [critical, production]
+ *     - name: ['*-api', 'auth-*']
+ *       visibility: private
+ *   exclude:
+ *     - archived: true
+ *     - pushedBeforeDays: 365
+ *
+ * The format is schemas/scope-config.schema.json.
+ */
+
+// The built-in scopes, expressed as the same rules a scope config file uses
+export const BUILTIN_SCOPES = {
+  all: { include: [], exclude: [] },
+  critical: {
+    include: [
+      { topics: ['critical', 'production'] },
+      { name: ['*api*', '*auth*'] },
+    ],
+    exclude: [],
+  },
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * RegExp for a shell-style glob: `*` is any run of
+ * characters, `?` one character, and `[abc]`, `[a-z]` or `[!abc]` one
+ * character from (or not from) a set. Case-sensitive, as the built-in
+ * scopes' name checks always were. Throws on a set that isn't closed.
+ */
+export function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const negated = glob[i + 1] === '!';
+      const start = negated ? i + 2 : i + 1;
+      // A ] straight after the opening bracket is a member of the set, as in shells
+      const end = glob.indexOf(']', start + 1);
+      if (end === -1) {
+        throw new Error(`'${glob}' has a [ without a closing ]`);
+      }
+
+      source += `[${negated ? '^' : ''}${glob.slice(start, end).replace(/[\\\]^[]/g, '\\$&')}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  try {
+    return new RegExp(`^${source}$`);
+  } catch (error) {
+    // Ranges running backwards, such as [z-a]
+    throw new Error(`'${glob}' is not a valid pattern: ${error.message}`);
+  }
+}
+
+const pushAgeDays = (repo, now) => (repo.pushed_at ? (now - new Date(repo.pushed_at)) / DAY_MS : null);
+
+// Each condition returns a short reason when it holds, or a falsy value when it doesn't
+const CONDITIONS = {
+  topics: (repo, expected) => {
+    const topic = toList(expected).find(t => repo.topics?.includes(t));
+    return topic && `topic '${topic}'`;
+  },
+  name: (repo, expected) => {
+    const glob = toList(expected).find(pattern => globToRegExp(pattern).test(repo.name));
+    return glob && `name matches '${glob}'`;
+  },
+  visibility: (repo, expected) => {
+    const visibility = repo.visibility || (repo.private ? 'private' : 'public');
+    return toList(expected).includes(visibility) && `${visibility} visibility`;
+  },
+  archived: (repo, expected) => Boolean(repo.archived) === expected && (expected ? 'archived' : 'not archived'),
+  fork: (repo, expected) => Boolean(repo.fork) === expected && (expected ? 'fork' : 'not a fork'),
+  language: (repo, expected) => {
+    const language = repo.language?.toLowerCase();
+    return toList(expected).some(l => String(l).toLowerCase() === language) && `language ${repo.language}`;
+  },
+  properties: (repo, expected) => {
+    const reasons = [];
+    for (const [name, values] of Object.entries(expected)) {
+      // Multi-select properties hold arrays; match if any selected value is listed
+      const actual = toList(repo.customProperties?.[name] ?? []).map(String);
+      const hit = toList(values).map(String).find(value => actual.includes(value));
+      if (!hit) return null;
+      reasons.push(`property ${name}=${hit}`);
+    }
+    return reasons.join(', ');
+  },
+  pushedWithinDays: (repo, days, now) => {
+    const age = pushAgeDays(repo, now);
+    return age !== null && age <= days && `pushed ${Math.floor(age)} days ago`;
+  },
+  pushedBeforeDays: (repo, days, now) => {
+    const age = pushAgeDays(repo, now);
+    return age !== null && age > days && `no push for ${Math.floor(age)} days`;
+  },
+};
+
+export async function loadScopeConfig(file) {
+  const config = await readConfigFile(file);
+  assertValid('scope', config, file);
+
+  const scope = { include: config.include || [], exclude: config.exclude || [] };
+
+  // The schema can't tell a malformed name pattern from a valid one
+  ['include', 'exclude'].forEach(kind => {
+    scope[kind].forEach((rule, index) => {
+      toList(rule.name ?? []).forEach(pattern => {
+        try {
+          globToRegExp(pattern);
+        } catch (error) {
+          throw new Error(`Scope config ${file}: ${kind} rule ${index + 1} name ${error.message}`);
+        }
+      });
+    });
+  });
+
+  return scope;
+}
+
+export const usesCustomProperties = (scope) =>
+  [...scope.include, ...scope.exclude].some(rule => rule.properties);
+
+function matchRule(rule, repo, now) {
+  const reasons = [];
+  for (const [key, expected] of Object.entries(rule)) {
+    const reason = CONDITIONS[key](repo, expected, now);
+    if (!reason) return null;
+    reasons.push(reason);
+  }
+  return reasons.join(', ');
+}
+
+function firstMatch(rules, repo, now) {
+  for (const [index, rule] of rules.entries()) {
+    const reason = matchRule(rule, repo, now);
+    if (reason) return { rule: index + 1, reason };
+  }
+  return null;
+}
+
+/**
+ * Apply scope rules to repositories. Returns the repositories in scope plus
+ * a record of every matched and excluded repository with the reason why.
+ */
+export function selectRepositories(repos, scope, now = new Date()) {
+  const matched = [];
+  const excluded = [];
+
+  const selected = repos.filter(repo => {
+    const include = scope.include.length > 0 ? firstMatch(scope.include, repo, now) : null;
+
+    if (scope.include.length > 0 && !include) {
+      excluded.push({ name: repo.name, reason: 'no include rule matched' });
+      return false;
+    }
+
+    const exclude = firstMatch(scope.exclude, repo, now);
+    if (exclude) {
+      excluded.push({ name: repo.name, reason: `exclude rule ${exclude.rule}: ${exclude.reason}` });
+      return false;
+    }
+
+    matched.push({
+      name: repo.name,
+      reason: include ? `include rule ${include.rule}: ${include.reason}` : 'no include rules',
+    });
+    return true;
+  });
+
+  return { selected, matched, excluded };
+}
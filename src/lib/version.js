@@ -0,0 +1,7 @@
+import fs from 'fs';
+
+/**
+ * The release of the tools, from package.json. Results and reports record it
+ * next to their schema version, so it is read rather than repeated.
+ */
+export const TOOL_VERSION = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+import { Command } from 'commander';
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import { readConfigFile } from './lib/config-file.js';
+import {
+  AUDIT_RESULTS_SCHEMA_VERSION,
+  COMPLIANCE_REPORT_SCHEMA_VERSION,
+  migrateAuditResults,
+  migrateComplianceReport,
+  validateDocument,
+} from './lib/schema.js';
+
+const program = new Command();
+
+program
+  .name('validate')
+  .description('Validate audit results, compliance reports, framework definitions and scope configs against their JSON Schemas (schemas/)')
+  .version('1.0.0')
+  .argument('<files...>', 'Audit results or compliance report JSON files, or framework or scope config YAML/JSON files')
+  .option('--type <type>', 'File type: audit, compliance, framework, scope, or auto to tell from the contents', 'auto')
+  .option('--migrate', 'Rewrite valid files from older schema versions in the current version')
+  .parse();
+
+const options = program.opts();
+
+if (!['auto', 'audit', 'compliance', 'framework', 'scope'].includes(options.type)) {
+  console.error(chalk.red(`Error: --type must be auto, audit, compliance, framework or scope (got '${options.type}')`));
+  process.exit(1);
+}
+
+const TYPES = {
+  audit: { label: 'audit results', version: AUDIT_RESULTS_SCHEMA_VERSION, migrate: migrateAuditResults },
+  compliance: { label: 'compliance report', version: COMPLIANCE_REPORT_SCHEMA_VERSION, migrate: migrateComplianceReport },
+  // Framework definitions are hand-written and unversioned
+  framework: { label: 'compliance framework', version: null, migrate: () => null },
+  scope: { label: 'scope config', version: null, migrate: () => null },
+};
+
+// Compliance reports are the ones with a check date and per-framework results,
+// framework definitions the ones with controls at the top level, scope configs
+// the ones with include or exclude rules
+function detectType(document) {
+  if (document?.controls && !document.metadata) return 'framework';
+  if ((document?.include || document?.exclude) && !document.metadata) return 'scope';
+  return document?.metadata?.checkDate && document.results ? 'compliance' : 'audit';
+}
+
+async function validateFile(file) {
+  let document;
+  try {
+    document = /\.ya?ml$/i.test(file) ? await readConfigFile(file) : JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    console.log(chalk.red(`✖ ${file}: ${error.message}`));
+    return false;
+  }
+
+  const type = options.type === 'auto' ? detectType(document) : options.type;
+  const { label, version, migrate } = TYPES[type];
+  let note = '';
+
+  let from;
+  try {
+    from = migrate(document);
+  } catch (error) {
+    console.log(chalk.red(`✖ ${file}: ${error.message}`));
+    return false;
+  }
+  if (from < version) {
+    note = `, migrated from schema version ${from}`;
+  }
+  const described = version ? ` (schema version ${version}${note})` : '';
+
+  const problems = validateDocument(type, document);
+
+  if (problems.length > 0) {
+    console.log(chalk.red(`✖ ${file}: invalid ${label}${described}`));
+    problems.forEach(problem => console.log(chalk.red(`    ${problem}`)));
+    return false;
+  }
+
+  if (note && options.migrate) {
+    await fs.writeFile(file, JSON.stringify(document, null, 2));
+    note += ' and rewritten';
+  }
+
+  console.log(chalk.green(`✔ ${file}: valid ${label}${version ? ` (schema version ${version}${note})` : ''}`));
+  return true;
+}
+
+async function validateFiles() {
+  let valid = true;
+  for (const file of program.args) {
+    valid = (await validateFile(file)) && valid;
+  }
+
+  if (!valid) {
+    process.exit(1);
+  }
+}
+
+validateFiles().catch(error => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
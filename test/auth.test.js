@@ -0,0 +1,123 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { Octokit } from '@octokit/rest';
+import { createAuthOptions } from '../src/lib/auth.js';
+
+/**
+ * GitHub App authentication against a local stand-in for the API: the token
+ * endpoint only hands out an installation token for a JWT signed with the
+ * app's key, and every other request records the credentials it came with.
+ */
+
+const APP_ID = '12345';
+const INSTALLATION_ID = 42;
+const INSTALLATION_TOKEN = 'ghs_installationtoken';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+});
+
+const decode = (part) => JSON.parse(Buffer.from(part, 'base64url').toString());
+
+// Throws unless the JWT is RS256-signed with the app's key
+function verifyJwt(jwt) {
+  const [header, payload, signature] = jwt.split('.');
+  assert.equal(decode(header).alg, 'RS256');
+  assert.ok(
+    crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url')),
+    'JWT signature does not verify against the app public key'
+  );
+  return decode(payload);
+}
+
+let server;
+let baseUrl;
+const jwts = [];
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    req.resume();
+    req.on('end', () => {
+      const authorization = req.headers.authorization || '';
+
+      if (req.url === `/app/installations/${INSTALLATION_ID}/access_tokens` || req.url === '/orgs/acme/installation') {
+        const jwt = authorization.replace(/^bearer /i, '');
+        try {
+          jwts.push({ url: req.url, claims: verifyJwt(jwt) });
+        } catch (error) {
+          return send(401, { message: error.message });
+        }
+        return req.url === '/orgs/acme/installation'
+          ? send(200, { id: INSTALLATION_ID })
+          : send(201, { token: INSTALLATION_TOKEN, expires_at: new Date(Date.now() + 3600e3).toISOString(), permissions: {}, repository_selection: 'all' });
+      }
+
+      requests.push({ url: req.url, authorization });
+      return req.url === '/graphql'
+        ? send(200, { data: { organization: { login: 'acme' } } })
+        : send(200, { login: 'acme' });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function appClient(installationId) {
+  const authOptions = await createAuthOptions(
+    { appId: APP_ID, privateKey, installationId },
+    { org: 'acme', requestDefaults: { baseUrl } }
+  );
+  return new Octokit({ ...authOptions, baseUrl });
+}
+
+test('mints an installation token with a JWT signed by the app', async () => {
+  jwts.length = 0;
+  requests.length = 0;
+  const octokit = await appClient(INSTALLATION_ID);
+
+  await octokit.request('GET /orgs/{org}', { org: 'acme' });
+  await octokit.graphql('query { organization(login: "acme") { login } }');
+
+  assert.equal(jwts.length, 1, 'the installation token is minted once and reused');
+  const { claims } = jwts[0];
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(String(claims.iss), APP_ID);
+  assert.ok(claims.exp > now, 'the JWT has not expired');
+  assert.ok(claims.exp <= now + 600, 'the JWT expires within 10 minutes');
+  assert.ok(claims.exp - claims.iat <= 600);
+
+  // REST and GraphQL both go out with the installation token
+  assert.deepEqual(requests, [
+    { url: '/orgs/acme', authorization: `token ${INSTALLATION_TOKEN}` },
+    { url: '/graphql', authorization: `token ${INSTALLATION_TOKEN}` },
+  ]);
+});
+
+test('looks up the installation on the organization when no ID is given', async () => {
+  jwts.length = 0;
+  requests.length = 0;
+  const octokit = await appClient(undefined);
+
+  await octokit.request('GET /orgs/{org}', { org: 'acme' });
+
+  assert.deepEqual(jwts.map(({ url }) => url), ['/orgs/acme/installation', `/app/installations/${INSTALLATION_ID}/access_tokens`]);
+  assert.deepEqual(requests, [{ url: '/orgs/acme', authorization: `token ${INSTALLATION_TOKEN}` }]);
+});
+
+test('a key that is not a PEM is read as a file path', async () => {
+  await assert.rejects(
+    createAuthOptions({ appId: APP_ID, privateKey: '/nonexistent/app.pem' }, { org: 'acme' }),
+    /Could not read GitHub App private key from \/nonexistent\/app\.pem/
+  );
+});
@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { DEFAULT_BRANCH_BASELINE, evaluateBranchControls, loadBranchBaseline } from '../src/lib/branch-controls.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghas-branch-controls-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeBaseline(name, config) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, JSON.stringify(config));
+  return file;
+}
+
+// GET /repos/{owner}/{repo}/branches/{branch}/protection
+const CLASSIC = {
+  required_pull_request_reviews: { required_approving_review_count: 2, dismiss_stale_reviews: true },
+  required_status_checks: { contexts: ['CodeQL', 'build'] },
+  required_signatures: { enabled: true },
+  allow_force_pushes: { enabled: false },
+  enforce_admins: { enabled: true },
+};
+
+// GET /repos/{owner}/{repo}/rules/branches/{branch}
+const RULES = [
+  { type: 'pull_request', ruleset_id: 5, parameters: { required_approving_review_count: 1, dismiss_stale_reviews_on_push: false } },
+  { type: 'non_fast_forward', ruleset_id: 5 },
+  { type: 'code_scanning', ruleset_id: 6 },
+];
+
+const passes = (result) => Object.fromEntries(result.controls.map(({ control, pass }) => [control, pass]));
+
+test('classic protection alone can meet the baseline', () => {
+  const result = evaluateBranchControls(DEFAULT_BRANCH_BASELINE, { protection: CLASSIC, rules: null, bypassable: false });
+
+  assert.equal(result.compliant, true);
+  assert.deepEqual(result.failed, []);
+  assert.ok(result.controls.every(control => control.satisfiedBy.join() === 'classic'));
+});
+
+test('classic protection is held to each control', () => {
+  const weak = {
+    required_pull_request_reviews: { required_approving_review_count: 1 },
+    required_status_checks: { contexts: ['build'] },
+    allow_force_pushes: { enabled: true },
+  };
+  const result = evaluateBranchControls({ ...DEFAULT_BRANCH_BASELINE, requiredReviews: 2 }, { protection: weak, rules: null, bypassable: false });
+
+  assert.equal(result.compliant, false);
+  assert.deepEqual(result.failed, [
+    'requiredReviews', 'dismissStaleReviews', 'requireCodeScanning', 'requireSignedCommits', 'blockForcePushes', 'enforceAdmins',
+  ]);
+  assert.equal(result.controls.find(control => control.control === 'requiredReviews').classic, 1);
+});
+
+test('rulesets satisfy the controls they have rules for', () => {
+  const result = evaluateBranchControls(DEFAULT_BRANCH_BASELINE, { protection: null, rules: RULES, bypassable: false });
+
+  assert.deepEqual(passes(result), {
+    requiredReviews: true,
+    dismissStaleReviews: false,
+    requireStatusChecks: false,
+    requireCodeScanning: true,
+    requireSignedCommits: false,
+    blockForcePushes: true,
+    enforceAdmins: true,
+  });
+  assert.deepEqual(result.controls.find(control => control.control === 'requireCodeScanning').satisfiedBy, ['ruleset']);
+});
+
+test('bypassable rulesets do not enforce admins, and unreadable bypass lists are unknown', () => {
+  const bypassable = evaluateBranchControls(DEFAULT_BRANCH_BASELINE, { protection: null, rules: RULES, bypassable: true });
+  assert.equal(passes(bypassable).enforceAdmins, false);
+
+  const unreadable = evaluateBranchControls(DEFAULT_BRANCH_BASELINE, { protection: null, rules: RULES, bypassable: null });
+  assert.equal(passes(unreadable).enforceAdmins, null);
+  assert.ok(!unreadable.failed.includes('enforceAdmins'));
+});
+
+test('either source can satisfy a control', () => {
+  const result = evaluateBranchControls(DEFAULT_BRANCH_BASELINE, { protection: CLASSIC, rules: RULES, bypassable: true });
+
+  assert.equal(result.compliant, true);
+  assert.deepEqual(result.controls.find(control => control.control === 'requiredReviews').satisfiedBy, ['classic', 'ruleset']);
+  assert.deepEqual(result.controls.find(control => control.control === 'enforceAdmins').satisfiedBy, ['classic']);
+});
+
+test('unreadable protection leaves unmet controls unknown rather than failed', () => {
+  const result = evaluateBranchControls(DEFAULT_BRANCH_BASELINE, { protection: undefined, rules: RULES, bypassable: false });
+
+  assert.equal(result.compliant, false);
+  assert.deepEqual(result.failed, []);
+  assert.equal(passes(result).requireSignedCommits, null);
+});
+
+test('a baseline file overrides and drops controls', async () => {
+  const file = await writeBaseline('baseline.json', { requiredReviews: 2, requireSignedCommits: false });
+  const baseline = await loadBranchBaseline(file);
+
+  assert.equal(baseline.requiredReviews, 2);
+  const result = evaluateBranchControls(baseline, { protection: null, rules: RULES, bypassable: false });
+  assert.ok(!result.controls.some(control => control.control === 'requireSignedCommits'));
+  assert.equal(passes(result).requiredReviews, false);
+});
+
+test('a required review count that can never fail or never pass is rejected', async () => {
+  for (const requiredReviews of [-1, 0, 1.5, 7]) {
+    const file = await writeBaseline(`reviews-${requiredReviews}.json`, { requiredReviews });
+    await assert.rejects(
+      loadBranchBaseline(file),
+      /'requiredReviews' must be a whole number from 1 to 6, or false/,
+      `requiredReviews: ${requiredReviews} was accepted`
+    );
+  }
+});
+
+test('unknown controls and wrongly typed values are rejected', async () => {
+  await assert.rejects(loadBranchBaseline(await writeBaseline('unknown.json', { requireReviews: 1 })), /unknown control 'requireReviews'/);
+  await assert.rejects(loadBranchBaseline(await writeBaseline('typed.json', { blockForcePushes: 'yes' })), /'blockForcePushes' must be a boolean/);
+});
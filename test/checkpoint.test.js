@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { CheckpointWriter, createCheckpointHeader, loadCheckpoint } from '../src/lib/checkpoint.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghas-checkpoint-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('a failed append rejects for its caller only and later appends still land', async () => {
+  const folder = path.join(dir, 'run');
+  const writer = new CheckpointWriter(path.join(folder, 'audit.checkpoint.jsonl'));
+  await writer.start(createCheckpointHeader('acme', { scope: 'all' }, []));
+  await writer.add({ name: 'repo-0' });
+
+  // With its folder gone the next append has nowhere to go
+  await fs.rm(folder, { recursive: true });
+  await assert.rejects(writer.add({ name: 'repo-1' }), { code: 'ENOENT' });
+
+  await fs.mkdir(folder);
+  await writer.add({ name: 'repo-2' });
+  await writer.fail('repo-3');
+
+  const content = await fs.readFile(writer.file, 'utf8');
+  assert.deepEqual(content.trim().split('\n').map(line => JSON.parse(line)).map(entry => [entry.type, entry.repository.name ?? entry.repository]), [
+    ['repository', 'repo-2'],
+    ['failure', 'repo-3'],
+  ]);
+});
+
+test('a checkpoint loads the repositories it recorded', async () => {
+  const writer = new CheckpointWriter(path.join(dir, 'load.checkpoint.jsonl'));
+  await writer.start(createCheckpointHeader('acme', { scope: 'all', collection: 'org' }, ['collection']), [{ name: 'repo-0' }]);
+  await writer.add({ name: 'repo-1' });
+  await writer.fail('repo-2');
+
+  const { header, repositories } = await loadCheckpoint(writer.file);
+  assert.deepEqual(header.options, { collection: 'org' });
+  assert.deepEqual([...repositories.keys()], ['repo-0', 'repo-1']);
+});
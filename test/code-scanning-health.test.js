@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessCodeScanningHealth, isCodeScanningWorkflow, latestAnalyses } from '../src/lib/code-scanning-health.js';
+
+const NOW = new Date('2024-03-01T00:00:00Z');
+
+const analysis = (overrides) => ({
+  tool: 'CodeQL',
+  toolVersion: '2.16.0',
+  category: '/language:javascript-typescript',
+  createdAt: '2024-02-28T00:00:00Z',
+  resultsCount: 3,
+  error: null,
+  warning: null,
+  ...overrides,
+});
+
+const assess = (codeScanning, staleDays = 30) => assessCodeScanningHealth(codeScanning, { staleDays, now: NOW });
+const issueTypes = (health) => health.issues.map(issue => issue.type);
+
+test('an analysis older than the stale threshold is flagged, one within it is not', () => {
+  // 30 days before NOW
+  const codeScanning = { analyses: [analysis({ createdAt: '2024-01-31T00:00:00Z' })] };
+
+  const atLimit = assess(codeScanning, 30);
+  assert.equal(atLimit.lastAnalysisAgeDays, 30);
+  assert.deepEqual(atLimit.issues, []);
+  assert.equal(atLimit.healthy, true);
+
+  const pastLimit = assess(codeScanning, 29);
+  assert.deepEqual(pastLimit.issues, [{ type: 'stale-analysis', detail: 'Last default branch analysis 30 days ago (limit 29)' }]);
+  assert.equal(pastLimit.healthy, false);
+});
+
+test('staleness goes by the newest analysis of any tool or category', () => {
+  const health = assess({
+    analyses: [
+      analysis({ createdAt: '2023-06-01T00:00:00Z' }),
+      analysis({ tool: 'Semgrep', category: null, createdAt: '2024-02-20T00:00:00Z' }),
+    ],
+  });
+
+  assert.equal(health.lastAnalysisAgeDays, 10);
+  assert.ok(!issueTypes(health).includes('stale-analysis'));
+});
+
+test('a branch without analyses is stale', () => {
+  const health = assess({ analyses: [] });
+
+  assert.equal(health.lastAnalysisAgeDays, null);
+  assert.deepEqual(health.issues, [{ type: 'stale-analysis', detail: 'No analysis of the default branch' }]);
+});
+
+test('errors and warnings are reported per tool and category', () => {
+  const health = assess({
+    analyses: [
+      analysis({ category: '/language:python', error: 'Extraction failed' }),
+      analysis({ tool: 'Semgrep', category: null, warning: '2 files skipped' }),
+    ],
+  });
+
+  assert.deepEqual(health.issues, [
+    { type: 'analysis-errors', detail: 'CodeQL /language:python: Extraction failed' },
+    { type: 'analysis-warnings', detail: 'Semgrep: 2 files skipped' },
+  ]);
+});
+
+test('languages CodeQL supports but no analysis covers are missing', () => {
+  const health = assess({
+    analyses: [analysis({ category: '/language:javascript' }), analysis({ tool: 'Semgrep', category: '/language:python' })],
+    // HTML and Shell are not CodeQL languages
+    languages: ['TypeScript', 'JavaScript', 'Python', 'Go', 'HTML', 'Shell'],
+  });
+
+  // The older per-language category covers TypeScript too; another tool's analysis covers nothing
+  assert.deepEqual(health.coveredLanguages, ['javascript-typescript']);
+  assert.deepEqual(health.missingLanguages, ['Python', 'Go']);
+  assert.deepEqual(issueTypes(health), ['missing-language', 'missing-language']);
+});
+
+test('default setup languages count as covered', () => {
+  const health = assess({
+    analyses: [analysis({ category: '/language:javascript-typescript' })],
+    defaultSetupLanguages: ['javascript-typescript', 'java', 'python'],
+    languages: ['TypeScript', 'Kotlin', 'Python'],
+  });
+
+  assert.deepEqual(health.coveredLanguages.sort(), ['java-kotlin', 'javascript-typescript', 'python']);
+  assert.deepEqual(health.missingLanguages, []);
+});
+
+test('only failed latest runs are flagged', () => {
+  const health = assess({
+    analyses: [analysis()],
+    latestRuns: [
+      { workflow: 'CodeQL', conclusion: 'success' },
+      { workflow: 'CodeQL nightly', conclusion: 'timed_out' },
+      { workflow: 'CodeQL PR', conclusion: 'cancelled' },
+    ],
+  });
+
+  assert.deepEqual(health.issues, [{ type: 'failed-run', detail: 'Latest run of CodeQL nightly ended in timed_out' }]);
+});
+
+test('latestAnalyses keeps the newest analysis per tool and category', () => {
+  const latest = latestAnalyses([
+    { tool: { name: 'CodeQL', version: '2.15.0' }, category: '/language:go', created_at: '2024-01-01T00:00:00Z', results_count: 1 },
+    { tool: { name: 'CodeQL', version: '2.16.0' }, category: '/language:go', created_at: '2024-02-01T00:00:00Z', results_count: 0, error: '' },
+    { tool: { name: 'CodeQL', version: '2.15.0' }, category: '/language:python', created_at: '2024-01-15T00:00:00Z' },
+    { tool: { name: 'Semgrep' }, category: '/language:go', created_at: '2024-01-10T00:00:00Z', warning: 'slow' },
+  ]);
+
+  assert.deepEqual(latest.map(({ tool, toolVersion, category, createdAt }) => [tool, toolVersion, category, createdAt]), [
+    ['CodeQL', '2.16.0', '/language:go', '2024-02-01T00:00:00Z'],
+    ['CodeQL', '2.15.0', '/language:python', '2024-01-15T00:00:00Z'],
+    ['Semgrep', null, '/language:go', '2024-01-10T00:00:00Z'],
+  ]);
+  assert.equal(latest[0].error, null);
+  assert.equal(latest[2].warning, 'slow');
+});
+
+test('CodeQL workflows are recognized by path or name', () => {
+  assert.ok(isCodeScanningWorkflow({ name: 'CodeQL', path: 'dynamic/github-code-scanning/codeql' }));
+  assert.ok(isCodeScanningWorkflow({ name: 'Security', path: '.github/workflows/codeql-analysis.yml' }));
+  assert.ok(!isCodeScanningWorkflow({ name: 'CI', path: '.github/workflows/ci.yml' }));
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { runPool } from '../src/lib/concurrency.js';
+
+test('runPool runs as many items at once as the limit allows, and no more', async () => {
+  for (const limit of [2, 3, 5]) {
+    let inFlight = 0;
+    let peak = 0;
+
+    await runPool(Array.from({ length: 12 }, (_, i) => i), limit, async (i) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await sleep(2 + (i % 3));
+      inFlight--;
+    });
+
+    assert.equal(peak, limit, `limit ${limit}`);
+  }
+});
+
+test('runPool returns results in input order', async () => {
+  // Earlier items take longer, so they finish last
+  const results = await runPool([30, 20, 10, 0], 4, async (ms, index) => {
+    await sleep(ms);
+    return `${index}:${ms}`;
+  });
+
+  assert.deepEqual(results, ['0:30', '1:20', '2:10', '3:0']);
+});
+
+test('runPool rejects with a worker error and starts no further items', async () => {
+  const started = [];
+
+  await assert.rejects(
+    runPool([1, 2, 3, 4, 5], 1, async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('repo 2 failed');
+    }),
+    /repo 2 failed/
+  );
+
+  assert.deepEqual(started, [1, 2]);
+});
+
+test('after a rejection runPool starts nothing queued and lets running items finish first', async () => {
+  const started = [];
+  const finished = [];
+
+  await assert.rejects(
+    runPool([1, 2, 3, 4, 5, 6], 3, async (item) => {
+      started.push(item);
+      if (item === 2) {
+        await sleep(5);
+        throw new Error('repo 2 failed');
+      }
+      // Items 1 and 3 are still running when item 2 fails
+      await sleep(item === 1 || item === 3 ? 30 : 1);
+      finished.push(item);
+    }),
+    /repo 2 failed/
+  );
+
+  assert.deepEqual(started, [1, 2, 3]);
+  assert.deepEqual(finished.sort(), [1, 3]);
+});
+
+test('runPool rejects with the first error when several items fail', async () => {
+  await assert.rejects(
+    runPool(['a', 'b'], 2, async (item) => {
+      await sleep(item === 'a' ? 10 : 1);
+      throw new Error(`${item} failed`);
+    }),
+    /^Error: b failed$/
+  );
+});
+
+test('runPool handles an empty list and a limit larger than the list', async () => {
+  assert.deepEqual(await runPool([], 4, async () => assert.fail('no items to run')), []);
+  assert.deepEqual(await runPool(['a'], 8, async item => item.toUpperCase()), ['A']);
+});
@@ -0,0 +1,169 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { buildFindings, findingMetrics, loadSecretSeverityPolicy, secretSeverity } from '../src/lib/findings.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghas-findings-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const repoAudit = (alerts) => ({ name: 'repo-0', alerts: { code: [], secret: [], dependency: [], ...alerts } });
+
+const codeAlert = (overrides) => ({
+  number: 1,
+  state: 'open',
+  severity: 'high',
+  rule: 'js/sql-injection',
+  description: 'Database query built from user-controlled sources',
+  cwes: ['CWE-89'],
+  path: 'src/db.js',
+  startLine: 42,
+  tool: 'CodeQL',
+  toolVersion: '2.15.0',
+  createdAt: '2024-01-01T00:00:00Z',
+  ...overrides,
+});
+
+const dependencyAlert = (overrides) => ({
+  id: 'A',
+  state: 'open',
+  severity: 'MODERATE',
+  package: 'lodash',
+  ecosystem: 'NPM',
+  advisory: 'GHSA-p6mc',
+  summary: 'Prototype pollution',
+  cwes: ['CWE-1321'],
+  firstPatchedVersion: '4.17.21',
+  manifest: 'package-lock.json',
+  scope: 'development',
+  createdAt: '2024-01-01T00:00:00Z',
+  ...overrides,
+});
+
+test('one rule at one line reported by two tools is one finding', () => {
+  const findings = buildFindings(repoAudit({
+    code: [
+      codeAlert({ number: 1 }),
+      codeAlert({ number: 7, tool: 'Semgrep', toolVersion: '1.50.0', severity: 'critical', createdAt: '2023-12-01T00:00:00Z' }),
+      // Same rule elsewhere in the file is another problem
+      codeAlert({ number: 2, startLine: 80 }),
+    ],
+  }));
+
+  assert.equal(findings.length, 2);
+  const [merged, other] = findings;
+  assert.deepEqual(merged.alerts.map(({ number, tool }) => [number, tool]), [[1, 'CodeQL'], [7, 'Semgrep']]);
+  assert.equal(merged.severity, 'critical');
+  assert.equal(merged.createdAt, '2023-12-01T00:00:00Z');
+  assert.deepEqual(merged.locations, [{ path: 'src/db.js', startLine: 42, endLine: null }]);
+  assert.deepEqual(other.alerts.map(({ number }) => number), [2]);
+  assert.notEqual(merged.fingerprint, other.fingerprint);
+});
+
+test('a merged finding stays open while any of its alerts is open', () => {
+  const [finding] = buildFindings(repoAudit({
+    code: [
+      codeAlert({ number: 1, state: 'fixed', fixedAt: '2024-01-05T00:00:00Z' }),
+      codeAlert({ number: 7, tool: 'Semgrep' }),
+    ],
+  }));
+
+  assert.equal(finding.state, 'open');
+  assert.equal(finding.closedAt, null);
+  assert.deepEqual(finding.alerts.map(({ state }) => state), ['fixed', 'open']);
+});
+
+test('the same advisory on several manifests is one finding', () => {
+  const findings = buildFindings(repoAudit({
+    dependency: [
+      dependencyAlert({ id: 'A' }),
+      dependencyAlert({ id: 'B', manifest: 'docs/package.json', scope: 'runtime', ecosystem: 'npm', cwes: [] }),
+      // Another advisory for the same package is another problem
+      dependencyAlert({ id: 'C', advisory: 'GHSA-35jh', summary: 'Command injection', cwes: ['CWE-77'] }),
+    ],
+  }));
+
+  assert.equal(findings.length, 2);
+  const [lodash] = findings;
+  assert.deepEqual(lodash.alerts.map(({ id, manifest }) => [id, manifest]), [['A', 'package-lock.json'], ['B', 'docs/package.json']]);
+  assert.deepEqual(lodash.locations, [{ path: 'package-lock.json' }, { path: 'docs/package.json' }]);
+  assert.equal(lodash.severity, 'medium');
+  assert.deepEqual(lodash.cwes, ['CWE-1321']);
+  // A runtime dependency in any manifest makes it a runtime finding
+  assert.equal(lodash.details.scope, 'runtime');
+  assert.equal(lodash.details.fixAvailable, true);
+});
+
+test('metrics count merged findings once', () => {
+  const findings = buildFindings(repoAudit({
+    code: [codeAlert({ number: 1 }), codeAlert({ number: 7, tool: 'Semgrep' })],
+    dependency: [
+      dependencyAlert({ id: 'A', state: 'dismissed', dismissedAt: '2024-01-03T00:00:00Z', dismissedReason: 'tolerable_risk' }),
+      dependencyAlert({ id: 'B', state: 'dismissed', dismissedAt: '2024-01-05T00:00:00Z', manifest: 'docs/package.json' }),
+    ],
+  }));
+  const metrics = findingMetrics(findings);
+
+  assert.equal(metrics.totalAlerts, 2);
+  assert.equal(metrics.openAlerts, 1);
+  assert.equal(metrics.dismissedAlerts, 1);
+  assert.deepEqual(metrics.dismissalReasons, { tolerable_risk: 1 });
+  // Closed when the last of its alerts was
+  assert.equal(metrics.meanTimeToResolve, 4);
+});
+
+test('every secret alert is its own finding, with severity from the secret type', () => {
+  const findings = buildFindings(repoAudit({
+    secret: [
+      { number: 1, state: 'open', secretType: 'github_personal_access_token', validity: 'active' },
+      { number: 2, state: 'open', secretType: 'github_personal_access_token' },
+      { number: 3, state: 'open', secretType: 'stripe_test_secret_key' },
+      { number: 4, state: 'resolved', resolution: 'false_positive', secretType: 'slack_webhook_url' },
+    ],
+  }));
+
+  assert.deepEqual(findings.map(({ severity, state }) => [severity, state]), [
+    ['critical', 'open'],
+    ['critical', 'open'],
+    ['medium', 'open'],
+    ['high', 'dismissed'],
+  ]);
+  assert.equal(findingMetrics(findings).activeSecretAlerts, 1);
+});
+
+test('the first matching rule of a secret severity policy wins', async () => {
+  const file = path.join(dir, 'policy.yaml');
+  await fs.writeFile(file, [
+    'default: low',
+    'rules:',
+    '  - types: [aws_temporary_*]',
+    '    severity: medium',
+    '  - types: [aws_*, "*_private_key"]',
+    '    severity: critical',
+    '',
+  ].join('\n'));
+  const policy = await loadSecretSeverityPolicy(file);
+
+  assert.equal(secretSeverity('aws_temporary_access_key_id', policy), 'medium');
+  assert.equal(secretSeverity('aws_secret_access_key', policy), 'critical');
+  assert.equal(secretSeverity('ssh_private_key', policy), 'critical');
+  assert.equal(secretSeverity('slack_api_token', policy), 'low');
+
+  const [finding] = buildFindings(repoAudit({ secret: [{ number: 1, state: 'open', secretType: 'aws_secret_access_key' }] }), policy);
+  assert.equal(finding.severity, 'critical');
+});
+
+test('a secret severity policy with an unknown severity is rejected', async () => {
+  const file = path.join(dir, 'bad-policy.json');
+  await fs.writeFile(file, JSON.stringify({ rules: [{ types: ['aws_*'], severity: 'severe' }] }));
+
+  await assert.rejects(loadSecretSeverityPolicy(file), /rule 1 needs a list of 'types' and a 'severity'/);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadFrameworkFile, loadFrameworks } from '../src/lib/frameworks.js';
+import { OWASP_TOP_10 } from '../src/lib/owasp.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghas-frameworks-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeFramework(name, checks) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, JSON.stringify({ code: 'TEST', name: 'Test', controls: { Control: { weight: 1, checks } } }));
+  return file;
+}
+
+test('the built-in frameworks load', async () => {
+  const frameworks = await loadFrameworks();
+  assert.deepEqual([...frameworks.keys()].sort(), ['ISO27001', 'NIST', 'OWASP', 'OWASP2025']);
+});
+
+test('the built-in 2025 framework checks every 2025 category', async () => {
+  const frameworks = await loadFrameworks();
+  const categories = Object.values(frameworks.get('OWASP2025').controls)
+    .flatMap(control => control.checks)
+    .filter(check => check.type === 'owasp')
+    .map(check => check.category);
+
+  assert.deepEqual(categories, OWASP_TOP_10[2025].map(category => category.id));
+  assert.equal(OWASP_TOP_10[2025][2].name, 'Software Supply Chain Failures');
+  assert.equal(OWASP_TOP_10[2025][9].name, 'Mishandling of Exceptional Conditions');
+});
+
+test('owasp checks name a category of a mapped edition', async () => {
+  const file = await writeFramework('owasp-2025.json', [{ type: 'owasp', category: 'A10:2025', weight: 1 }]);
+  assert.equal((await loadFrameworkFile(file)).controls.Control.checks[0].category, 'A10:2025');
+
+  const unmapped = await writeFramework('owasp-2017.json', [{ type: 'owasp', category: 'A09:2017', weight: 1 }]);
+  await assert.rejects(loadFrameworkFile(unmapped), /checks\/0\/category must match pattern/);
+});
+
+test('a misspelled check key is rejected rather than ignored', async () => {
+  const file = await writeFramework('misspelled.json', [{ type: 'alert', severty: ['critical'], weight: 1 }]);
+  await assert.rejects(loadFrameworkFile(file), /checks\/0 must NOT have unevaluated properties 'severty'/);
+});
+
+test('a key of another check type is rejected', async () => {
+  const file = await writeFramework('other-type.json', [{ type: 'feature', name: 'codeScanning', pattern: 'sql', weight: 1 }]);
+  await assert.rejects(loadFrameworkFile(file), /checks\/0 must NOT have unevaluated properties 'pattern'/);
+});
+
+test('alert checks count by severity or by state', async () => {
+  const neither = await writeFramework('alert-neither.json', [{ type: 'alert', weight: 1 }]);
+  await assert.rejects(loadFrameworkFile(neither), /checks\/0 must match exactly one schema in oneOf/);
+
+  const both = await writeFramework('alert-both.json', [{ type: 'alert', severity: ['high'], state: 'open', weight: 1 }]);
+  await assert.rejects(loadFrameworkFile(both), /checks\/0 must match exactly one schema in oneOf/);
+});
+
+test('metrics without an evaluator are rejected', async () => {
+  const file = await writeFramework('metric.json', [{ type: 'metric', name: 'responseTime', threshold: 7, weight: 1 }]);
+  await assert.rejects(loadFrameworkFile(file), /checks\/0\/name must be equal to one of the allowed values: "meanTimeToResolve"/);
+});
+
+test('patterns compile to regular expressions', async () => {
+  const file = await writeFramework('patterns.json', [
+    { type: 'code', pattern: 'sql', weight: 1 },
+    { type: 'secret', pattern: { regex: '^aws_', flags: '' }, weight: 1 },
+  ]);
+  const { controls } = await loadFrameworkFile(file);
+  assert.deepEqual(controls.Control.checks.map(check => String(check.pattern)), ['/sql/i', '/^aws_/']);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attributeFindings, findingCategory } from '../src/lib/owasp.js';
+
+const finding = (category, cwes, overrides) => ({ fingerprint: `${category}-${cwes.join()}`, category, state: 'open', title: 'Finding', cwes, ...overrides });
+
+test('code scanning findings go by their highest-ranked CWE', () => {
+  assert.equal(findingCategory(finding('code', ['CWE-89']), '2021').id, 'A03:2021');
+  assert.equal(findingCategory(finding('code', ['cwe-089', 'CWE-22']), '2021').id, 'A01:2021');
+  assert.equal(findingCategory(finding('code', ['CWE-1321']), '2021'), null);
+});
+
+test('the 2025 edition has CWE lists of its own', () => {
+  const category = (cwe) => findingCategory(finding('code', [cwe]), '2025')?.id;
+
+  // SSRF folded into access control, error handling got a category, supply chain widened
+  assert.equal(category('CWE-918'), 'A01:2025');
+  assert.equal(category('CWE-209'), 'A10:2025');
+  assert.equal(category('CWE-476'), 'A10:2025');
+  assert.equal(category('CWE-1395'), 'A03:2025');
+  assert.equal(category('CWE-89'), 'A05:2025');
+  assert.equal(category('CWE-798'), 'A07:2025');
+  assert.equal(category('CWE-1392'), 'A07:2025');
+  // In 2021 lists only
+  assert.equal(findingCategory(finding('code', ['CWE-209']), '2021').id, 'A04:2021');
+  assert.equal(category('CWE-937'), undefined);
+});
+
+test('Dependabot findings go by their advisory CWEs, and to the components category when none maps', () => {
+  assert.equal(findingCategory(finding('dependency', ['CWE-89']), '2021').id, 'A03:2021');
+  assert.equal(findingCategory(finding('dependency', ['CWE-89']), '2025').id, 'A05:2025');
+  assert.equal(findingCategory(finding('dependency', ['CWE-1321']), '2021').id, 'A06:2021');
+  assert.equal(findingCategory(finding('dependency', ['CWE-1321']), '2025').id, 'A03:2025');
+  assert.equal(findingCategory(finding('dependency', []), '2025').id, 'A03:2025');
+});
+
+test('open findings land in exactly one category or in unmapped', () => {
+  const repositories = [{
+    name: 'repo-0',
+    findings: [
+      finding('code', ['CWE-79']),
+      finding('code', ['CWE-1321']),
+      finding('code', ['CWE-89'], { state: 'fixed' }),
+      finding('dependency', ['CWE-1321']),
+      finding('dependency', ['CWE-502']),
+      finding('secret', []),
+    ],
+  }];
+  const { counts, unmapped } = attributeFindings(repositories, '2021');
+
+  assert.equal(counts['A03:2021'], 1);
+  assert.equal(counts['A06:2021'], 1);
+  assert.equal(counts['A08:2021'], 1);
+  assert.equal(Object.values(counts).reduce((a, b) => a + b, 0), 3);
+  assert.deepEqual(unmapped, [{ repository: 'repo-0', fingerprint: 'code-CWE-1321', category: 'code', title: 'Finding', cwes: ['CWE-1321'] }]);
+});
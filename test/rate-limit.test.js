@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from '@octokit/rest';
+import { createThrottleOptions, installRateLimitGate } from '../src/lib/rate-limit.js';
+
+/**
+ * The rate-limit gate against a fake API whose responses carry whatever
+ * x-ratelimit headers the test sets; nothing goes over the network.
+ */
+
+function fakeApi(headersFor) {
+  const requests = [];
+  const octokit = new Octokit({
+    request: {
+      fetch: async (url) => {
+        const { pathname } = new URL(url);
+        requests.push({ path: pathname, at: Date.now() });
+        return new Response('{}', {
+          status: 200,
+          headers: { 'content-type': 'application/json', ...headersFor(pathname) },
+        });
+      },
+    },
+  });
+  return { octokit, requests };
+}
+
+function recordingLog() {
+  const events = [];
+  const record = (level) => (event, data) => events.push({ level, event, ...data });
+  return { events, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') };
+}
+
+const resetIn = (ms) => String(Math.ceil((Date.now() + ms) / 1000));
+
+test('requests wait for the reset once x-ratelimit-remaining reaches 0', async () => {
+  const reset = resetIn(1000);
+  const { octokit, requests } = fakeApi(() => ({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': reset }));
+  const log = recordingLog();
+  installRateLimitGate(octokit, { log });
+
+  await octokit.request('GET /repos/{owner}/{repo}', { owner: 'acme', repo: 'repo-0' });
+  await octokit.request('GET /repos/{owner}/{repo}', { owner: 'acme', repo: 'repo-1' });
+
+  assert.ok(requests[1].at >= Number(reset) * 1000, 'second request went out before the window reset');
+  assert.deepEqual(
+    log.events.filter(event => event.event === 'api.rate-limit-pause').map(({ resource, remaining }) => ({ resource, remaining })),
+    [{ resource: 'core', remaining: 0 }]
+  );
+});
+
+test('requests are not delayed while the remaining budget is above the reserve', async () => {
+  const { octokit, requests } = fakeApi(() => ({ 'x-ratelimit-remaining': '11', 'x-ratelimit-reset': resetIn(60000) }));
+  const log = recordingLog();
+  installRateLimitGate(octokit, { log });
+
+  const started = Date.now();
+  await octokit.request('GET /repos/{owner}/{repo}', { owner: 'acme', repo: 'repo-0' });
+  await octokit.request('GET /repos/{owner}/{repo}', { owner: 'acme', repo: 'repo-1' });
+
+  assert.equal(requests.length, 2);
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(log.events, []);
+});
+
+test('an exhausted GraphQL budget does not hold up REST requests', async () => {
+  const { octokit } = fakeApi(pathname => (pathname === '/graphql'
+    ? { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': resetIn(60000) }
+    : {}));
+  installRateLimitGate(octokit, { log: recordingLog() });
+
+  await octokit.request('POST /graphql', { query: '{ viewer { login } }' });
+
+  const started = Date.now();
+  await octokit.request('GET /repos/{owner}/{repo}', { owner: 'acme', repo: 'repo-0' });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('rate limit hits are retried until maxRetries', () => {
+  const log = recordingLog();
+  const { onRateLimit, onSecondaryRateLimit } = createThrottleOptions({ log, maxRetries: 2 });
+  const request = { method: 'GET', url: '/orgs/acme/repos' };
+
+  assert.equal(onRateLimit(30, request, null, 0), true);
+  assert.equal(onSecondaryRateLimit(60, request, null, 1), true);
+  assert.equal(onRateLimit(30, request, null, 2), false);
+
+  assert.deepEqual(log.events.map(({ level, event, limit }) => [level, event, limit]), [
+    ['warn', 'api.retry', 'primary'],
+    ['warn', 'api.retry', 'secondary'],
+    ['error', 'api.retry-exhausted', 'primary'],
+  ]);
+});
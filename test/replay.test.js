@@ -0,0 +1,498 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import zlib from 'node:zlib';
+
+/**
+ * The whole pipeline replayed from recorded API responses. test/fixtures/acme
+ * is a four-repository organization recorded with
+ *
+ *   node src/audit.js --org acme --since 2023-01-01 --secret-locations --record test/fixtures/acme
+ *   node src/audit.js --org acme --since 2023-01-01 --collection org --record test/fixtures/acme
+ *   node src/audit.js --org acme --since 2023-01-01 --baseline <first run's results> --record test/fixtures/acme
+ *
+ * Re-record it (with the same flags) when the audit starts making requests
+ * the fixtures don't have.
+ */
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const FIXTURES = path.join(ROOT, 'test/fixtures/acme');
+
+const run = (script, args) =>
+  promisify(execFile)(process.execPath, [path.join(ROOT, 'src', script), ...args], { cwd: ROOT, timeout: 60000 });
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+// chartjs-node-canvas draws with the native canvas module, which only loads where cairo is installed
+const canvasAvailable = await import('canvas').then(() => true, () => false);
+
+let dir;
+let auditFile;
+let audit;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghas-audit-test-'));
+  auditFile = path.join(dir, 'audit.json');
+  await run('audit.js', ['--org', 'acme', '--since', '2023-01-01', '--secret-locations', '--replay', FIXTURES, '--output', auditFile]);
+  audit = await readJson(auditFile);
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const repository = (name) => audit.repositories.find(repo => repo.name === name);
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Every file under a directory, relative to it with / separators
+async function listFiles(directory) {
+  const entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile())
+    .map(entry => path.relative(directory, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'))
+    .sort();
+}
+
+// The files in a zip and their contents, read from its central directory
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const files = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let count = buffer.readUInt16LE(end + 10); count > 0; count--) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const local = buffer.readUInt32LE(offset + 42);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+
+    if (!name.endsWith('/')) {
+      files.set(name, method === 8 ? zlib.inflateRawSync(data) : data);
+    }
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return files;
+}
+
+// The events an audit logged, down to debug
+async function auditEvents(args) {
+  const { stdout } = await run('audit.js', [...args, '--replay', FIXTURES, '--log-format', 'json', '--log-level', 'debug']);
+  return stdout.trim().split('\n').map(line => JSON.parse(line));
+}
+
+// The API requests an audit made, from its debug log
+async function auditRequests(args) {
+  return (await auditEvents(args))
+    .filter(event => event.event === 'api.request')
+    .map(event => new URL(event.url).pathname);
+}
+
+test('audit summarizes open findings and keeps closed ones for the metrics', () => {
+  assert.equal(audit.metadata.organization, 'acme');
+  assert.deepEqual(audit.repositories.map(repo => repo.name), ['repo-0', 'repo-1', 'repo-2', 'repo-3']);
+
+  const { summary } = audit;
+  assert.equal(summary.totalRepositories, 4);
+  assert.equal(summary.totalAlerts, 12);
+  assert.equal(summary.codeAlerts, 4);
+  assert.equal(summary.secretAlerts, 4);
+  assert.equal(summary.dependencyAlerts, 4);
+  assert.equal(summary.closedAlerts, 12);
+
+  const { metrics } = repository('repo-0');
+  assert.equal(metrics.openAlerts, 3);
+  assert.equal(metrics.fixedAlerts, 2);
+  assert.equal(metrics.dismissedAlerts, 1);
+});
+
+test('audit scores OWASP from the categories of open findings', () => {
+  // The four open SQL injection alerts (CWE-89) put A03 at 0.7, and the four open lodash advisories,
+  // whose CWE-1321 no category lists, put A06 there too; every repository runs code scanning
+  assert.ok(Math.abs(audit.compliance.frameworks.OWASP.score - ((9.4 / 10) * 70 + 30)) < 1e-9);
+});
+
+test('audit records ownership, documentation and branch protection per repository', () => {
+  assert.equal(repository('repo-0').ownership.owner, 'acme/platform');
+  assert.equal(repository('repo-2').documentation.securityPolicySource, 'repository');
+  assert.equal(repository('repo-0').documentation.securityPolicySource, 'organization');
+
+  assert.equal(repository('repo-0').securityFeatures.branchProtection.baseline.compliant, true);
+  assert.ok(repository('repo-1').securityFeatures.branchProtection.rulesets.some(rule => rule.type === 'non_fast_forward'));
+
+  // The recording token couldn't read repo-3's teams, Dependabot or branch protection settings
+  assert.deepEqual(repository('repo-3').collectionErrors.map(error => error.source), ['teams', 'dependabot', 'branch-protection']);
+  assert.equal(repository('repo-3').securityFeatures.branchProtection.status, 'unknown');
+});
+
+test('audit records where each secret was found with --secret-locations', () => {
+  const [secret] = repository('repo-0').alerts.secret.filter(alert => alert.state === 'open');
+  assert.ok(secret.locations.length > 0);
+});
+
+test('audit records who bypassed push protection for a secret', () => {
+  const secrets = Object.fromEntries(repository('repo-0').alerts.secret.map(alert => [alert.number, alert]));
+
+  assert.equal(secrets[1].pushProtectionBypassed, true);
+  assert.equal(secrets[1].pushProtectionBypassedBy, 'mona');
+  assert.equal(secrets[1].pushProtectionBypassedAt, '2024-01-01T00:00:00Z');
+  assert.equal(secrets[2].pushProtectionBypassed, false);
+  assert.equal(secrets[2].pushProtectionBypassedBy, null);
+});
+
+test('audit --collection org reads alerts with one request per source', async () => {
+  const args = ['--org', 'acme', '--since', '2023-01-01'];
+  const perRepository = await auditRequests([...args, '--output', path.join(dir, 'collection-repo.json')]);
+  const perOrganization = await auditRequests([...args, '--collection', 'org', '--output', path.join(dir, 'collection-org.json')]);
+
+  const alertRequests = (paths) => paths.filter(url => /\/(code-scanning|secret-scanning|dependabot)\/alerts|^\/graphql$/.test(url));
+  assert.equal(alertRequests(perRepository).length, 12);
+  assert.deepEqual(alertRequests(perOrganization), [
+    '/orgs/acme/code-scanning/alerts',
+    '/orgs/acme/secret-scanning/alerts',
+    '/orgs/acme/dependabot/alerts',
+  ]);
+  assert.equal(perOrganization.length, perRepository.length - 12 + 3);
+
+  // Secret locations are opt-in in either mode
+  assert.ok(!perOrganization.some(url => url.endsWith('/locations')));
+
+  const [repoMode, orgMode] = await Promise.all(['collection-repo.json', 'collection-org.json'].map(file => readJson(path.join(dir, file))));
+  assert.deepEqual(orgMode.summary, repoMode.summary);
+});
+
+test('audit logs its closing event for the organization it audited', async () => {
+  const events = await auditEvents(['--org', 'acme', '--since', '2023-01-01', '--output', path.join(dir, 'json-log.json')]);
+  const completed = events.find(event => event.event === 'audit.completed');
+
+  assert.equal(completed.organization, 'acme');
+  assert.equal(completed.summary.totalRepositories, 4);
+  assert.equal(events.at(-1), completed);
+});
+
+test('audit runs an organization given twice once', async () => {
+  const file = path.join(dir, 'duplicate-org.json');
+  await run('audit.js', ['--org', 'acme, ACME', '--since', '2023-01-01', '--replay', FIXTURES, '--output', file]);
+  const { metadata, repositories } = await readJson(file);
+
+  assert.equal(metadata.organization, 'acme');
+  assert.equal(repositories.length, 4);
+});
+
+test('audit refuses an --org list with no organization in it', async () => {
+  await assert.rejects(
+    run('audit.js', ['--org', ' , ', '--replay', FIXTURES, '--output', path.join(dir, 'no-org.json')]),
+    error => error.code === 1 && /--org names no organization \(got ' , '\)/.test(error.stderr)
+  );
+});
+
+test('audit reuses repositories unchanged since the baseline and refreshes the rest', async () => {
+  // Taken in February 2024: repo-1's open alert was updated in March, and repo-3 was collected incompletely
+  const baselineFile = path.join(dir, 'baseline.json');
+  await fs.writeFile(baselineFile, JSON.stringify({ ...audit, metadata: { ...audit.metadata, auditDate: '2024-02-01T00:00:00.000Z' } }));
+
+  const file = path.join(dir, 'incremental.json');
+  const requests = await auditRequests([
+    '--org', 'acme', '--since', '2023-01-01', '--secret-locations', '--baseline', baselineFile, '--output', file,
+  ]);
+  const incremental = await readJson(file);
+
+  assert.deepEqual(incremental.repositories.map(repo => [repo.name, repo.incremental]), [
+    ['repo-0', { status: 'reused', collectedAt: '2024-02-01T00:00:00.000Z' }],
+    ['repo-1', { status: 'refreshed', reason: 'code scanning alerts updated' }],
+    ['repo-2', { status: 'reused', collectedAt: '2024-02-01T00:00:00.000Z' }],
+    ['repo-3', { status: 'refreshed', reason: 'baseline collection was incomplete' }],
+  ]);
+  assert.equal(incremental.summary.reusedRepositories, 2);
+  assert.equal(incremental.summary.refreshedRepositories, 2);
+  assert.equal(incremental.summary.totalAlerts, audit.summary.totalAlerts);
+
+  // Reused repositories cost only the change checks
+  assert.deepEqual(requests.filter(url => url.startsWith('/repos/acme/repo-0/')), [
+    '/repos/acme/repo-0/code-scanning/analyses',
+    '/repos/acme/repo-0/code-scanning/alerts',
+    '/repos/acme/repo-0/secret-scanning/alerts',
+    '/repos/acme/repo-0/dependabot/alerts',
+  ]);
+  assert.deepEqual(
+    (({ incremental: _, ...repoAudit }) => repoAudit)(incremental.repositories[0]),
+    audit.repositories[0]
+  );
+  assert.ok(requests.includes('/repos/acme/repo-1/teams'));
+});
+
+test('audit refuses a baseline collected without data this run asks for', async () => {
+  const file = path.join(dir, 'baseline-without-locations.json');
+  await run('audit.js', ['--org', 'acme', '--since', '2023-01-01', '--replay', FIXTURES, '--output', file]);
+  assert.equal((await readJson(file)).metadata.options.secretLocations, null);
+
+  await assert.rejects(
+    run('audit.js', [
+      '--org', 'acme', '--since', '2023-01-01', '--secret-locations', '--code-instances', '--replay', FIXTURES,
+      '--baseline', file, '--output', path.join(dir, 'incremental-with-locations.json'),
+    ]),
+    error => error.code === 1 &&
+      /baseline was collected without --code-instances and without --secret-locations; run the same way to reuse it/.test(error.stderr)
+  );
+
+  // The other way round the baseline has data this run didn't ask for
+  await assert.rejects(
+    run('audit.js', ['--org', 'acme', '--since', '2023-01-01', '--replay', FIXTURES, '--baseline', auditFile, '--output', path.join(dir, 'incremental-without-locations.json')]),
+    error => error.code === 1 && /baseline was collected with --secret-locations/.test(error.stderr)
+  );
+});
+
+test('audit refuses a baseline from another server', async () => {
+  // The version 1 baseline predates --api-url, so it came from GitHub.com
+  await assert.rejects(
+    run('audit.js', [
+      '--org', 'acme', '--replay', FIXTURES, '--output', path.join(dir, 'ghes.json'),
+      '--baseline', path.join(ROOT, 'test/fixtures/schema-v1-audit.json'),
+      '--api-url', 'https://ghes.example.com/api/v3',
+    ]),
+    error => error.code === 1 && /baseline was collected from https:\/\/api\.github\.com/.test(error.stderr)
+  );
+});
+
+test('audit does not resume a checkpoint from another server', async () => {
+  const checkpoint = path.join(dir, 'ghes.checkpoint.jsonl');
+  const header = { type: 'header', organization: 'acme', scope: 'all', options: { apiUrl: 'https://ghes.example.com/api/v3' } };
+  await fs.writeFile(checkpoint, JSON.stringify(header) + '\n');
+
+  await assert.rejects(
+    run('audit.js', ['--org', 'acme', '--since', '2023-01-01', '--replay', FIXTURES, '--output', path.join(dir, 'resumed.json'), '--resume', checkpoint]),
+    error => error.code === 1 && /apiUrl \("https:\/\/ghes\.example\.com\/api\/v3" vs "https:\/\/api\.github\.com"\)/.test(error.stdout + error.stderr)
+  );
+});
+
+test('audit does not resume a checkpoint collected in another collection mode', async () => {
+  const checkpoint = path.join(dir, 'org-mode.checkpoint.jsonl');
+  const header = { type: 'header', organization: 'acme', scope: 'all', options: { apiUrl: 'https://api.github.com', collection: 'org', since: '2023-01-01' } };
+  await fs.writeFile(checkpoint, JSON.stringify(header) + '\n');
+
+  await assert.rejects(
+    run('audit.js', ['--org', 'acme', '--since', '2023-01-01', '--replay', FIXTURES, '--output', path.join(dir, 'resumed-repo-mode.json'), '--resume', checkpoint]),
+    error => error.code === 1 && /collection \("org" vs "repo"\)/.test(error.stdout + error.stderr)
+  );
+});
+
+test('audit keeps the checkpoint of a run with failed repositories and resumes from it', async () => {
+  // Without its CODEOWNERS lookup, repo-2 fails and the rest complete
+  const partial = path.join(dir, 'fixtures-partial');
+  await fs.cp(FIXTURES, partial, { recursive: true });
+  await fs.rm(path.join(partial, 'GET-repos-acme-repo-2-contents-github-2FCODEOWNERS-b861c66a0bfb2ae3.json'));
+
+  const file = path.join(dir, 'resume.json');
+  const checkpoint = path.join(dir, 'resume.checkpoint.jsonl');
+  const args = ['--org', 'acme', '--since', '2023-01-01', '--secret-locations', '--output', file, '--checkpoint', checkpoint];
+
+  const { stderr } = await run('audit.js', [...args, '--replay', partial]);
+  assert.match(stderr, /1 repositories failed \(repo-2\); checkpoint kept/);
+
+  const first = await readJson(file);
+  assert.deepEqual(first.repositories.map(repo => repo.name), ['repo-0', 'repo-1', 'repo-3']);
+  assert.equal(first.summary.failedRepositories, 1);
+
+  const lines = (await fs.readFile(checkpoint, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.type).sort(), ['failure', 'header', 'repository', 'repository', 'repository']);
+  assert.equal(lines.find(line => line.type === 'failure').repository, 'repo-2');
+
+  const { stdout } = await run('audit.js', [...args, '--replay', FIXTURES, '--resume']);
+  assert.match(stdout, /Resuming: 3 repositories restored from checkpoint, 1 remaining/);
+
+  const resumed = await readJson(file);
+  assert.equal(resumed.metadata.resumedFrom, checkpoint);
+  assert.equal(resumed.summary.failedRepositories, 0);
+  assert.deepEqual(resumed.summary, audit.summary);
+  assert.deepEqual(resumed.repositories, audit.repositories);
+
+  // Every repository made it this time, so the checkpoint is gone
+  await assert.rejects(fs.access(checkpoint), { code: 'ENOENT' });
+});
+
+test('check-compliance scores the replayed audit', async () => {
+  const reportFile = path.join(dir, 'compliance.json');
+  await run('check-compliance.js', ['--audit-file', auditFile, '--output', reportFile]);
+  const report = await readJson(reportFile);
+
+  assert.deepEqual(Object.keys(report.results), ['OWASP', 'NIST', 'ISO27001']);
+
+  // Every open SQL injection alert is CWE-89; no category lists the lodash advisories'
+  // CWE-1321 (prototype pollution), so they count as vulnerable components
+  const attribution = report.results.OWASP.owaspAttribution['2021'];
+  assert.equal(attribution.counts['A03:2021'], 4);
+  assert.equal(attribution.counts['A06:2021'], 4);
+  assert.equal(Object.values(attribution.counts).reduce((a, b) => a + b, 0), 8);
+  assert.deepEqual(attribution.unmapped, []);
+
+  // Four open Dependabot alerts, fewer than ten
+  const dependency = report.results.NIST.controlScores['Protect (PR)'].details.find(detail => detail.type === 'dependency');
+  assert.equal(dependency.score, 9 * 0.7);
+
+  for (const result of Object.values(report.results)) {
+    assert.deepEqual(result.repositories.map(row => row.repository), ['repo-0', 'repo-1', 'repo-2', 'repo-3']);
+  }
+});
+
+test('check-compliance attributes findings to the 2025 categories for the 2025 framework', async () => {
+  const reportFile = path.join(dir, 'compliance-2025.json');
+  await run('check-compliance.js', ['--audit-file', auditFile, '--frameworks', 'OWASP2025', '--output', reportFile]);
+  const report = await readJson(reportFile);
+
+  const attribution = report.results.OWASP2025.owaspAttribution['2025'];
+  assert.deepEqual(Object.keys(report.results.OWASP2025.owaspAttribution), ['2025']);
+  assert.equal(attribution.counts['A05:2025'], 4);
+  assert.equal(attribution.counts['A03:2025'], 4);
+  assert.equal(Object.values(attribution.counts).reduce((a, b) => a + b, 0), 8);
+
+  const injection = report.results.OWASP2025.controlScores['A05:2025 – Injection'].details.find(detail => detail.type === 'owasp');
+  assert.equal(injection.score, 7 * 0.7);
+});
+
+test('check-compliance counts only open alerts', async () => {
+  // Every XSS alert and the AWS secret were fixed, dismissed or revoked before the audit
+  const frameworkFile = path.join(dir, 'closed.yaml');
+  await fs.writeFile(frameworkFile, [
+    'code: CLOSED',
+    'name: Closed alerts only',
+    'controls:',
+    '  XSS:',
+    '    weight: 1',
+    '    checks: [{ type: code, weight: 1, pattern: xss }]',
+    '  AWS keys:',
+    '    weight: 1',
+    '    checks: [{ type: secret, weight: 1, pattern: aws }]',
+    '',
+  ].join('\n'));
+
+  const reportFile = path.join(dir, 'compliance-closed.json');
+  await run('check-compliance.js', ['--audit-file', auditFile, '--framework-file', frameworkFile, '--frameworks', 'CLOSED', '--output', reportFile]);
+  const report = await readJson(reportFile);
+
+  assert.equal(report.results.CLOSED.overallScore, 100);
+});
+
+test('check-compliance --repo scores one repository', async () => {
+  const reportFile = path.join(dir, 'compliance-repo-2.json');
+  await run('check-compliance.js', ['--audit-file', auditFile, '--repo', 'repo-2', '--frameworks', 'NIST', '--output', reportFile]);
+  const report = await readJson(reportFile);
+
+  assert.deepEqual(report.metadata.repositories, ['repo-2']);
+  assert.deepEqual(report.results.NIST.repositories.map(row => row.repository), ['repo-2']);
+});
+
+test('check-compliance --evidence-dir writes a pack whose manifest, checksums and zip match its files', async () => {
+  const evidenceDir = path.join(dir, 'evidence');
+  const reportFile = path.join(dir, 'compliance-evidence.json');
+  await run('check-compliance.js', ['--audit-file', auditFile, '--output', reportFile, '--evidence-dir', evidenceDir]);
+  const report = await readJson(reportFile);
+
+  const [packName, zipName, ...others] = (await fs.readdir(evidenceDir)).sort();
+  assert.match(packName, /^compliance-evidence-acme-/);
+  assert.equal(zipName, `${packName}.zip`);
+  assert.deepEqual(others, []);
+
+  const pack = path.join(evidenceDir, packName);
+  const files = await listFiles(pack);
+  const manifest = await readJson(path.join(pack, 'manifest.json'));
+
+  // The manifest and checksums cover every file but themselves, with the hash it has on disk
+  assert.deepEqual(manifest.artifacts.map(artifact => artifact.path).sort(), files.filter(file => !['manifest.json', 'SHA256SUMS'].includes(file)));
+  for (const artifact of manifest.artifacts) {
+    const content = await fs.readFile(path.join(pack, artifact.path));
+    assert.equal(sha256(content), artifact.sha256, artifact.path);
+    assert.equal(content.length, artifact.bytes, artifact.path);
+  }
+  assert.equal(manifest.auditFile.sha256, sha256(await fs.readFile(auditFile)));
+  assert.equal(
+    await fs.readFile(path.join(pack, 'SHA256SUMS'), 'utf8'),
+    manifest.artifacts.map(artifact => `${artifact.sha256}  ${artifact.path}\n`).join('')
+  );
+
+  // The zip holds the same files with the same content, under the pack's folder
+  const zipped = readZip(await fs.readFile(path.join(evidenceDir, zipName)));
+  assert.deepEqual([...zipped.keys()].sort(), files.map(file => `${packName}/${file}`));
+  for (const file of files) {
+    assert.equal(sha256(zipped.get(`${packName}/${file}`)), sha256(await fs.readFile(path.join(pack, file))), file);
+  }
+
+  // A folder per control, and the narrative of a failing control names it failed and lists its failing repositories
+  const controlFolders = files.filter(file => file.endsWith('/checks.json')).map(file => path.posix.dirname(file));
+  const controlCount = Object.values(report.results).reduce((sum, result) => sum + Object.keys(result.controlScores).length, 0);
+  assert.equal(controlFolders.length, controlCount);
+
+  let failing = 0;
+  for (const folder of controlFolders) {
+    const checks = await readJson(path.join(pack, folder, 'checks.json'));
+    const narrative = await fs.readFile(path.join(pack, folder, 'narrative.md'), 'utf8');
+
+    assert.ok(narrative.startsWith(`# ${checks.control}\n`), folder);
+    assert.match(narrative, checks.passed ? /Outcome: \*\*Pass\*\*/ : /Outcome: \*\*Fail\*\*/, folder);
+    if (checks.passed) continue;
+
+    failing++;
+    for (const row of checks.repositories.filter(row => row.status === 'fail')) {
+      assert.ok(narrative.includes(`\n- ${row.repository} (`), `${folder} does not list ${row.repository}`);
+    }
+  }
+  assert.ok(failing > 0, 'no control of the replayed audit fails');
+});
+
+test('generate-dashboard renders the replayed audit', { skip: !canvasAvailable && 'canvas native module not built' }, async () => {
+  const dashboardFile = path.join(dir, 'dashboard.html');
+  await run('generate-dashboard.js', ['--input', auditFile, '--output', dashboardFile]);
+  const html = await fs.readFile(dashboardFile, 'utf8');
+
+  assert.match(html, /acme/);
+  for (const name of ['repo-0', 'repo-1', 'repo-2', 'repo-3']) {
+    assert.ok(html.includes(name), `${name} missing from the dashboard`);
+  }
+  // Severity, alert type, compliance and risk charts
+  assert.equal(html.match(/src="data:image\/png;base64,/g)?.length, 4);
+
+  const { stdout } = await run('create-issue.js', ['--audit-file', auditFile, '--dashboard', dashboardFile, '--dry-run']);
+  assert.match(stdout, /## 📊 Executive Dashboard/);
+});
+
+test('create-issue --dry-run prints the issue for the replayed audit', async () => {
+  const { stdout } = await run('create-issue.js', ['--audit-file', auditFile, '--dry-run']);
+
+  assert.match(stdout, /^# 🔒 Security Audit Results - /);
+  assert.match(stdout, /\*\*Organization:\*\* acme/);
+  assert.match(stdout, /\| \*\*Total Alerts\*\* \| \*\*12\*\* \|/);
+  assert.match(stdout, /\*\*Secret Scanning:\*\* 4 alerts \(\*\*4 active credentials exposed\*\*\)/);
+  // Every repository has an open critical finding (its active GitHub token)
+  assert.equal(stdout.match(/^\| \[repo-\d\]\(/gm)?.length, 4);
+  assert.match(stdout, /\| acme\/platform \|/);
+});
+
+test('results and reports record the release from package.json', async () => {
+  const { version } = await readJson(path.join(ROOT, 'package.json'));
+  assert.equal(audit.metadata.version, version);
+});
+
+test('validate reports a file it cannot read in one line', async () => {
+  const missing = path.join(dir, 'missing.json');
+  await assert.rejects(run('validate.js', [missing]), error => {
+    assert.equal(error.code, 1);
+    assert.equal((error.stdout + error.stderr).trim().split('\n').length, 1);
+    assert.match(error.stdout + error.stderr, /missing\.json: ENOENT/);
+    return true;
+  });
+});
+
+test('validate accepts the audit results and the compliance report', async () => {
+  const reportFile = path.join(dir, 'compliance-validate.json');
+  await run('check-compliance.js', ['--audit-file', auditFile, '--output', reportFile]);
+
+  const { stdout } = await run('validate.js', [auditFile, reportFile]);
+  assert.match(stdout, /valid audit results/);
+  assert.match(stdout, /valid compliance report/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { AUDIT_RESULTS_SCHEMA_VERSION, migrateAuditResults, validateDocument } from '../src/lib/schema.js';
+import { loadBaseline } from '../src/lib/baseline.js';
+import { readAuditResults } from '../src/lib/results.js';
+
+// Written by the audit as it was before schemaVersion existed, against a two-repository organization
+const V1_AUDIT = fileURLToPath(new URL('fixtures/schema-v1-audit.json', import.meta.url));
+
+const readV1 = async () => JSON.parse(await fs.readFile(V1_AUDIT, 'utf8'));
+
+test('version 1 audit results migrate to valid current results', async () => {
+  const auditData = await readV1();
+
+  assert.equal(migrateAuditResults(auditData), 1);
+  assert.equal(auditData.metadata.schemaVersion, AUDIT_RESULTS_SCHEMA_VERSION);
+  assert.deepEqual(validateDocument('audit', auditData), []);
+});
+
+test('migration recomputes metrics from the findings it builds', async () => {
+  const auditData = await readV1();
+  migrateAuditResults(auditData);
+
+  const [repo] = auditData.repositories;
+  // Dependabot's two alerts on lodash are one finding
+  assert.equal(repo.findings.length, 3);
+  assert.deepEqual(
+    (({ totalAlerts, openAlerts, closedAlerts, fixedAlerts, dismissedAlerts, closureRate }) =>
+      ({ totalAlerts, openAlerts, closedAlerts, fixedAlerts, dismissedAlerts, closureRate }))(repo.metrics),
+    { totalAlerts: 3, openAlerts: 3, closedAlerts: 0, fixedAlerts: 0, dismissedAlerts: 0, closureRate: 0 }
+  );
+});
+
+test('partial version 1 audit results migrate as far as they go and fail validation', () => {
+  const auditData = {
+    metadata: { organization: 'acme', auditDate: '2024-01-01T00:00:00Z', scope: 'all' },
+    repositories: [{ name: 'x' }, null, { name: 'y', alerts: { code: 'none', secret: [], dependency: [] } }],
+  };
+
+  assert.equal(migrateAuditResults(auditData), 1);
+  const problems = validateDocument('audit', auditData);
+  assert.ok(problems.includes("/repositories/0 must have required property 'alerts'"), problems.join('\n'));
+  assert.ok(problems.includes('/repositories/1 must be object'), problems.join('\n'));
+  assert.ok(problems.includes('/repositories/2/alerts/code must be array'), problems.join('\n'));
+});
+
+test('reading partial version 1 audit results reports what is missing', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghas-schema-test-'));
+  try {
+    const file = path.join(dir, 'partial.json');
+    await fs.writeFile(file, JSON.stringify({ metadata: { organization: 'acme' }, repositories: [{ name: 'x' }] }));
+
+    await assert.rejects(readAuditResults(file), error => {
+      assert.ok(!(error instanceof TypeError), error.stack);
+      assert.match(error.message, /partial\.json is not a valid audit results file/);
+      assert.match(error.message, /\/repositories\/0 must have required property 'alerts'/);
+      return true;
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('version 1 audit results load as a baseline', async () => {
+  const baseline = await loadBaseline(V1_AUDIT);
+
+  assert.deepEqual([...baseline.repositories.keys()], ['acme/repo-0', 'acme/repo-1']);
+  assert.equal(baseline.since, null);
+});
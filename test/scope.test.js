@@ -0,0 +1,129 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { BUILTIN_SCOPES, globToRegExp, loadScopeConfig, selectRepositories } from '../src/lib/scope.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ghas-scope-test-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeScope(name, config) {
+  const file = path.join(dir, name);
+  await fs.writeFile(file, JSON.stringify(config));
+  return file;
+}
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+const REPOS = [
+  { name: 'payments-api', topics: ['critical'], private: true, pushed_at: '2025-12-01T00:00:00Z' },
+  { name: 'auth-service', topics: [], private: true, archived: true, pushed_at: '2025-12-01T00:00:00Z' },
+  { name: 'docs', topics: ['critical'], private: false, pushed_at: '2023-01-01T00:00:00Z' },
+  { name: 'repo-0', topics: [], private: false, pushed_at: '2025-12-01T00:00:00Z' },
+  { name: 'repo-2', topics: [], private: false, pushed_at: '2025-12-01T00:00:00Z' },
+];
+
+const names = (repos) => repos.map(repo => repo.name);
+
+test('an exclude rule wins over a matching include rule', () => {
+  const scope = {
+    include: [{ topics: 'critical' }, { name: '*-service' }],
+    exclude: [{ archived: true }, { pushedBeforeDays: 365 }],
+  };
+  const { selected, matched, excluded } = selectRepositories(REPOS, scope, NOW);
+
+  assert.deepEqual(names(selected), ['payments-api']);
+  assert.deepEqual(matched, [{ name: 'payments-api', reason: "include rule 1: topic 'critical'" }]);
+  assert.deepEqual(excluded, [
+    { name: 'auth-service', reason: 'exclude rule 1: archived' },
+    { name: 'docs', reason: 'exclude rule 2: no push for 1096 days' },
+    { name: 'repo-0', reason: 'no include rule matched' },
+    { name: 'repo-2', reason: 'no include rule matched' },
+  ]);
+});
+
+test('without include rules everything not excluded is in scope', () => {
+  const { selected, matched } = selectRepositories(REPOS, { include: [], exclude: [{ visibility: 'public' }] }, NOW);
+
+  assert.deepEqual(names(selected), ['payments-api', 'auth-service']);
+  assert.equal(matched[0].reason, 'no include rules');
+});
+
+test('every condition of a rule must hold', () => {
+  const { selected } = selectRepositories(REPOS, { include: [{ topics: 'critical', visibility: 'private' }], exclude: [] }, NOW);
+  assert.deepEqual(names(selected), ['payments-api']);
+});
+
+test('the built-in critical scope matches critical topics and api or auth names', () => {
+  const { selected } = selectRepositories(REPOS, BUILTIN_SCOPES.critical, NOW);
+  assert.deepEqual(names(selected), ['payments-api', 'auth-service', 'docs']);
+});
+
+test('name patterns are case-sensitive, so the critical scope matches the names it always did', () => {
+  assert.ok(!globToRegExp('repo-*').test('Repo-0'));
+  assert.ok(!globToRegExp('repo-[a-c]').test('repo-B'));
+
+  const repos = [
+    { name: 'payments-api', topics: [] },
+    { name: 'Payments-API', topics: [] },
+    { name: 'OAuth-Proxy', topics: [] },
+    { name: 'oauth-proxy', topics: [] },
+  ];
+  const { selected } = selectRepositories(repos, BUILTIN_SCOPES.critical, NOW);
+  assert.deepEqual(names(selected), ['payments-api', 'oauth-proxy']);
+});
+
+test('name patterns support character classes', () => {
+  assert.ok(globToRegExp('repo-[01]').test('repo-0'));
+  assert.ok(!globToRegExp('repo-[01]').test('repo-2'));
+  assert.ok(globToRegExp('repo-[a-c0-9]').test('repo-b'));
+  assert.ok(globToRegExp('repo-[!01]').test('repo-2'));
+  assert.ok(!globToRegExp('repo-[!01]').test('repo-1'));
+  assert.ok(globToRegExp('v[]]').test('v]'));
+  // Anything else is literal
+  assert.ok(globToRegExp('a.b+(c)').test('a.b+(c)'));
+  assert.ok(!globToRegExp('a.b').test('axb'));
+
+  const { selected } = selectRepositories(REPOS, { include: [{ name: 'repo-[01]' }], exclude: [] }, NOW);
+  assert.deepEqual(names(selected), ['repo-0']);
+});
+
+test('a scope config loads', async () => {
+  const config = { include: [{ name: ['repo-[01]', '*-api'], visibility: ['public', 'private'] }], exclude: [{ archived: true }] };
+  const file = await writeScope('valid.json', config);
+
+  assert.deepEqual(await loadScopeConfig(file), config);
+});
+
+test('an unclosed character class is rejected rather than matching nothing', async () => {
+  const file = await writeScope('unclosed.json', { include: [{ name: 'repo-[01' }] });
+  await assert.rejects(loadScopeConfig(file), /include rule 1 name 'repo-\[01' has a \[ without a closing \]/);
+});
+
+test('rule values of the wrong type are rejected rather than never matching', async () => {
+  const file = await writeScope('typed.json', { exclude: [{ archived: 'true', pushedBeforeDays: '365', visibility: 'secret' }] });
+  await assert.rejects(loadScopeConfig(file), error => {
+    assert.match(error.message, /not a valid scope config/);
+    assert.match(error.message, /\/exclude\/0\/archived must be boolean/);
+    assert.match(error.message, /\/exclude\/0\/pushedBeforeDays must be number/);
+    assert.match(error.message, /\/exclude\/0\/visibility must be equal to one of the allowed values/);
+    return true;
+  });
+});
+
+test('unknown rule fields and top-level keys are rejected', async () => {
+  const file = await writeScope('unknown.json', { include: [{ topic: 'critical' }], exlude: [] });
+  await assert.rejects(loadScopeConfig(file), error => {
+    assert.match(error.message, /\/include\/0 must NOT have additional properties 'topic'/);
+    assert.match(error.message, /\/ must NOT have additional properties 'exlude'/);
+    return true;
+  });
+});